@@ -93,15 +93,22 @@ export default [
     ignores: [
       "dist/",
       "node_modules/",
-      "*.config.js",
-      // Files with import assertions (ESLint parser doesn't fully support this syntax yet)
-      "src/systems/App.js",
-      "src/scenes/AboutScene.js",
-      "src/scenes/ArtGalleryScene.js",
-      "src/scenes/PhotoScene.js",
-      "src/scenes/ProjectsScene.js",
-      "src/content/showcaseContent.js"
+      "*.config.js"
     ]
+  },
+  {
+    // JSON modules imported with import attributes (`with { type: "json" }`)
+    files: [
+      "src/content/contentSchemas.js",
+      "src/content/showcaseContent.js",
+      "src/systems/App.js"
+    ],
+    languageOptions: {
+      ecmaVersion: 2025,
+      parserOptions: {
+        ecmaVersion: 2025
+      }
+    }
   }
 ];
 
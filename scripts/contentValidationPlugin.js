@@ -0,0 +1,50 @@
+import { formatIssue, validateContent } from "./validateContent.js";
+
+const CONTENT_FILE = /[\\/](src[\\/]content[\\/].+\.json|content[\\/]rooms[\\/][^\\/]+\.md)$/;
+
+/**
+ * Vite plugin that validates the content JSON when the dev server starts and before a
+ * build, and again whenever a content file changes during development. Dev servers only
+ * log the problems; builds fail on errors.
+ * @returns {import("vite").Plugin}
+ */
+export function contentValidation() {
+  let command = "serve";
+  let logger = console;
+
+  return {
+    name: "spatial-showcase:content-validation",
+
+    configResolved(config) {
+      command = config.command;
+      logger = config.logger;
+    },
+
+    buildStart() {
+      const errors = report();
+      if (errors.length > 0 && command === "build") {
+        this.error(`Content validation failed with ${errors.length} error(s)`);
+      }
+    },
+
+    // Content edits are hot-swapped in the browser, so re-check them as they are saved
+    handleHotUpdate({ file }) {
+      if (CONTENT_FILE.test(file)) {
+        report();
+      }
+    }
+  };
+
+  function report() {
+    const issues = validateContent();
+    issues.forEach((issue) => {
+      const message = `[ContentValidation] ${formatIssue(issue)}`;
+      if (issue.severity === "error") {
+        logger.error(message);
+      } else {
+        logger.warn(message);
+      }
+    });
+    return issues.filter((issue) => issue.severity === "error");
+  }
+}
@@ -0,0 +1,154 @@
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { parse as parseYaml } from "yaml";
+
+/** Folder (relative to the project root) holding one Markdown file per room */
+export const ROOMS_DIR = "content/rooms";
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const IMAGE = /!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)/g;
+const HEADING_ID = /\s*\{#([A-Za-z0-9_-]+)\}\s*$/;
+
+/**
+ * Error in a room file, carrying the file so the dev overlay and the validator can point at it.
+ */
+export class RoomFileError extends Error {
+  /**
+   * @param {string} file - path relative to the project root
+   * @param {string} message
+   * @param {number} line - 1-based line in the file, when known
+   */
+  constructor(file, message, line) {
+    super(`${file}${line ? `:${line}` : ""}: ${message}`);
+    this.name = "RoomFileError";
+    this.file = file;
+    this.line = line;
+    this.reason = message;
+  }
+}
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+/**
+ * Turns one `## Heading` section into a panel: the heading is the title (`{#id}` sets the id),
+ * the first image is the panel image, further images become thumbnails and the remaining
+ * paragraphs are the description.
+ */
+function compileSection(heading, lines, fallbackImage) {
+  const idMatch = heading.match(HEADING_ID);
+  const title = heading.replace(HEADING_ID, "").trim();
+  const text = lines.join("\n");
+
+  const images = [...text.matchAll(IMAGE)].map((match) => match[2]);
+  const description = text
+    .replace(IMAGE, "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .join("\n\n");
+
+  const panel = { id: idMatch ? idMatch[1] : slugify(title), title };
+  if (description) panel.description = description;
+
+  const [image = fallbackImage, ...thumbnails] = images;
+  if (image) panel.image = image;
+  if (thumbnails.length > 0) panel.thumbnails = [image, ...thumbnails];
+  return panel;
+}
+
+/**
+ * Compiles a room file into a showcaseScenes.json entry.
+ *
+ * Front-matter holds the room fields (`id`, `title`, `layout`, `teleports`, `menu`, …) plus
+ * `images`, a list of panel images used in order by sections without an image of their own.
+ * The body's `# Heading` is the room title when the front-matter has none, and every
+ * `## Heading` section is a panel.
+ *
+ * @param {string} source - file contents
+ * @param {string} file - path relative to the project root, used for the default id and errors
+ * @returns {{ id: string, room: Object }}
+ * @throws {RoomFileError} when the front-matter is missing or is not valid YAML
+ */
+export function compileRoomFile(source, file) {
+  const frontMatter = source.match(FRONT_MATTER);
+  if (!frontMatter) {
+    throw new RoomFileError(file, "missing front-matter (a --- block at the top)", 1);
+  }
+
+  let meta;
+  try {
+    meta = parseYaml(frontMatter[1]) || {};
+  } catch (error) {
+    const line = error.linePos?.[0]?.line;
+    throw new RoomFileError(file, `invalid front-matter: ${error.message}`, line && line + 1);
+  }
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    throw new RoomFileError(file, "front-matter must be a mapping of room fields", 2);
+  }
+
+  const { id = path.basename(file, ".md"), images = [], ...fields } = meta;
+  const body = source.slice(frontMatter[0].length).split(/\r?\n/);
+
+  let title = null;
+  const sections = [];
+  body.forEach((line) => {
+    const heading = line.match(/^(#{1,2})\s+(.+?)\s*#*\s*$/);
+    if (heading?.[1] === "#") {
+      title = title || heading[2];
+    } else if (heading) {
+      sections.push({ heading: heading[2], lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+
+  const room = { title: title || id, ...fields };
+  if (sections.length > 0) {
+    room.panels = sections.map(({ heading, lines }, index) =>
+      compileSection(heading, lines, Array.isArray(images) ? images[index] : undefined)
+    );
+  }
+  return { id: String(id), room };
+}
+
+/**
+ * Compiles every `*.md` file in ROOMS_DIR (sorted by name).
+ * @param {string} root - project root
+ * @returns {{ rooms: Object<string, Object>, files: Object<string, string>, errors: RoomFileError[] }}
+ *   rooms keyed by id, the file each room came from, and the files that failed to compile
+ */
+export function compileMarkdownRooms(root) {
+  const rooms = {};
+  const files = {};
+  const errors = [];
+  const directory = path.join(root, ROOMS_DIR);
+  if (!existsSync(directory)) return { rooms, files, errors };
+
+  readdirSync(directory)
+    .filter((entry) => entry.endsWith(".md"))
+    .sort()
+    .forEach((entry) => {
+      const file = `${ROOMS_DIR}/${entry}`;
+      try {
+        const { id, room } = compileRoomFile(
+          readFileSync(path.join(directory, entry), "utf8"),
+          file
+        );
+        if (id in rooms) {
+          throw new RoomFileError(file, `room id "${id}" is already used by ${files[id]}`);
+        }
+        rooms[id] = room;
+        files[id] = file;
+      } catch (error) {
+        errors.push(
+          error instanceof RoomFileError ? error : new RoomFileError(file, error.message)
+        );
+      }
+    });
+
+  return { rooms, files, errors };
+}
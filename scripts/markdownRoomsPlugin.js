@@ -0,0 +1,77 @@
+import path from "node:path";
+import { ROOMS_DIR, compileMarkdownRooms } from "./markdownRooms.js";
+import { formatIssue, validateContent } from "./validateContent.js";
+
+const VIRTUAL_ID = "virtual:showcase-rooms";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * Vite plugin that compiles the Markdown rooms in content/rooms/*.md (see markdownRooms.js)
+ * into the `virtual:showcase-rooms` module, whose default export maps room ids to
+ * showcaseScenes entries. Files that do not compile, or compile to invalid rooms, fail the
+ * build and show in the dev overlay; edits are hot-swapped like the content JSON.
+ * @returns {import("vite").Plugin}
+ */
+export function markdownRooms() {
+  let root = process.cwd();
+  let roomsDir = path.join(root, ROOMS_DIR);
+
+  const isRoomFile = (file) =>
+    path.dirname(path.resolve(file)) === roomsDir && file.endsWith(".md");
+
+  return {
+    name: "spatial-showcase:markdown-rooms",
+
+    configResolved(config) {
+      root = config.root;
+      roomsDir = path.join(root, ROOMS_DIR);
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      const { rooms, files } = compileMarkdownRooms(root);
+      Object.values(files).forEach((file) => this.addWatchFile(path.join(root, file)));
+
+      // Compile errors and invalid rooms are reported with their file and JSON path
+      const problems = validateContent({ root }).filter(
+        (issue) => issue.severity === "error" && issue.file.startsWith(`${ROOMS_DIR}/`)
+      );
+      if (problems.length > 0) {
+        this.error({
+          message: `Invalid Markdown rooms:\n${problems.map(formatIssue).join("\n")}`,
+          id: path.join(root, problems[0].file)
+        });
+      }
+
+      return `export default ${JSON.stringify(rooms)};`;
+    },
+
+    configureServer(server) {
+      // New and deleted room files change the room set, not just one module
+      const reload = (file) => {
+        if (!isRoomFile(file)) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (module) {
+          server.reloadModule(module);
+        }
+      };
+      server.watcher.add(roomsDir);
+      server.watcher.on("add", reload);
+      server.watcher.on("unlink", reload);
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!isRoomFile(file)) return undefined;
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (!module) return undefined;
+
+      server.moduleGraph.invalidateModule(module);
+      return [module];
+    }
+  };
+}
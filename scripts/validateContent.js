@@ -0,0 +1,563 @@
+import Ajv from "ajv";
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { CONTENT_FILES, START_ROOM } from "../src/content/contentFiles.js";
+import { compileMarkdownRooms } from "./markdownRooms.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CONTENT_DIR = "src/content";
+const SCHEMA_DIR = "src/content/schemas";
+const PROFILES_DIR = "src/content/profiles";
+const PUBLIC_DIR = "public";
+
+/**
+ * Keys whose string values are asset paths under public/ (images, videos, models, narration,
+ * ambient and panel audio), and keys holding lists of images
+ */
+const ASSET_KEYS = new Set(["image", "image360", "src", "video", "narration"]);
+const IMAGE_LIST_KEYS = new Set(["thumbnails", "images", "slideshow"]);
+
+/** URLs that are not files under public/ */
+const EXTERNAL_URL = /^(https?:|data:|blob:)/;
+
+/** Rich-text fields (see src/utils/richText.js) and the link targets they may use */
+const RICH_TEXT_KEYS = new Set(["description", "bio"]);
+const RICH_TEXT_LINK = /\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/g;
+const LINK_PROTOCOL = /^(https?:|mailto:)/i;
+
+/**
+ * @typedef {Object} ContentIssue
+ * @property {"error"|"warning"} severity
+ * @property {string} file - path relative to the project root
+ * @property {string} path - JSON pointer inside the file ("" for the whole file)
+ * @property {string} message
+ */
+
+const pointer = (...segments) =>
+  segments
+    .map((segment) => `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`)
+    .join("");
+
+function readJson(root, file, issues) {
+  try {
+    return JSON.parse(readFileSync(path.join(root, file), "utf8"));
+  } catch (error) {
+    issues.push({ severity: "error", file, path: "", message: error.message });
+    return null;
+  }
+}
+
+function checkSchema(ajv, root, name, file, data, issues) {
+  const schema = readJson(root, `${SCHEMA_DIR}/${name}.schema.json`, issues);
+  if (!schema) return;
+
+  // Profiles may replace a file, so its schema can be needed again
+  const validate = ajv.getSchema(schema.$id) || ajv.compile(schema);
+  if (validate(data)) return;
+
+  validate.errors.forEach((error) => {
+    const detail = error.params?.additionalProperty
+      ? ` "${error.params.additionalProperty}"`
+      : error.params?.allowedValues
+        ? ` (${error.params.allowedValues.join(", ")})`
+        : "";
+    issues.push({
+      severity: "error",
+      file,
+      path: error.instancePath,
+      message: `${error.message}${detail}`
+    });
+  });
+}
+
+/**
+ * Calls `visit(src, jsonPointer)` for every asset path in a content value: images, videos,
+ * models and audio.
+ */
+function forEachAsset(value, visit, location = "") {
+  if (Array.isArray(value)) {
+    value.forEach((entry, index) => forEachAsset(entry, visit, `${location}${pointer(index)}`));
+    return;
+  }
+  if (!value || typeof value !== "object") return;
+
+  Object.entries(value).forEach(([key, entry]) => {
+    const entryLocation = `${location}${pointer(key)}`;
+    if (ASSET_KEYS.has(key) && typeof entry === "string") {
+      visit(entry, entryLocation);
+    } else if (IMAGE_LIST_KEYS.has(key) && Array.isArray(entry)) {
+      entry.forEach((item, index) => {
+        if (typeof item === "string") {
+          visit(item, `${entryLocation}${pointer(index)}`);
+        } else {
+          forEachAsset(item, visit, `${entryLocation}${pointer(index)}`);
+        }
+      });
+    } else {
+      forEachAsset(entry, visit, entryLocation);
+    }
+  });
+}
+
+function checkAssets(root, file, data, issues) {
+  forEachAsset(data, (src, location) => {
+    if (EXTERNAL_URL.test(src)) return;
+
+    const relative = src.replace(/^\.?\//, "");
+    if (existsSync(path.join(root, PUBLIC_DIR, relative))) return;
+
+    const hint = relative.startsWith(`${PUBLIC_DIR}/`)
+      ? ` (files in ${PUBLIC_DIR}/ are served from "/", try "/${relative.slice(PUBLIC_DIR.length + 1)}")`
+      : "";
+    const kind = location.endsWith("/video")
+      ? "video"
+      : location.endsWith("/model/src")
+        ? "model"
+        : /\/(narration|audio\/src|ambient\/src)$/.test(location)
+          ? "audio"
+          : "image";
+    issues.push({
+      severity: "error",
+      file,
+      path: location,
+      message: `${kind} "${src}" does not exist in ${PUBLIC_DIR}/${hint}`
+    });
+  });
+}
+
+/**
+ * Warns about rich-text links the panels will not open (only http, https and mailto are
+ * linked; others show as literal text).
+ */
+function checkRichText(file, value, issues, location = "") {
+  if (Array.isArray(value)) {
+    value.forEach((entry, index) =>
+      checkRichText(file, entry, issues, `${location}${pointer(index)}`)
+    );
+    return;
+  }
+  if (!value || typeof value !== "object") return;
+
+  Object.entries(value).forEach(([key, entry]) => {
+    const entryLocation = `${location}${pointer(key)}`;
+    if (!RICH_TEXT_KEYS.has(key) || typeof entry !== "string") {
+      checkRichText(file, entry, issues, entryLocation);
+      return;
+    }
+    [...entry.matchAll(RICH_TEXT_LINK)]
+      .filter(([, , href]) => !LINK_PROTOCOL.test(href))
+      .forEach(([link, , href]) => {
+        issues.push({
+          severity: "warning",
+          file,
+          path: entryLocation,
+          message: `link "${href}" is not http(s) or mailto and shows as plain text: ${link}`
+        });
+      });
+  });
+}
+
+function checkDuplicateIds(file, roomId, entries, key, issues) {
+  const seen = new Map();
+  (entries || []).forEach((entry, index) => {
+    if (!entry?.id) return;
+    if (seen.has(entry.id)) {
+      issues.push({
+        severity: "error",
+        file,
+        path: pointer(roomId, key, index, "id"),
+        message: `duplicate ${key.replace(/s$/, "")} id "${entry.id}" (first used at ${pointer(roomId, key, seen.get(entry.id), "id")})`
+      });
+    } else {
+      seen.set(entry.id, index);
+    }
+  });
+}
+
+/**
+ * Rooms a room leads to: its teleports, plus every room with a `menu` block when its
+ * navigation lists registered scenes (the main hall).
+ */
+function neighbours(rooms, roomId) {
+  const room = rooms[roomId];
+  const targets = (room.teleports || []).map((teleport) => teleport.target);
+  if (room.navigation?.registeredScenes) {
+    Object.keys(rooms).forEach((id) => {
+      if (rooms[id].menu) targets.push(id);
+    });
+  }
+  return targets.filter((target) => target in rooms);
+}
+
+/**
+ * Checks that a room's guide points at one of the room's visible portals: a declared
+ * teleport, or the portal generated for a listed room in rooms with `registeredScenes`.
+ */
+function checkGuide(file, rooms, roomId, issues) {
+  const { guide, teleports = [], navigation } = rooms[roomId];
+  if (!guide?.next) return;
+
+  const portalIds = teleports
+    .filter((teleport) => !teleport?.hidden)
+    .map((teleport) => teleport?.id);
+  if (navigation?.registeredScenes) {
+    Object.keys(rooms)
+      .filter((id) => id !== roomId && rooms[id]?.menu)
+      .forEach((id) => portalIds.push(`tp_${id}`));
+  }
+  if (!portalIds.includes(guide.next)) {
+    issues.push({
+      severity: "error",
+      file,
+      path: pointer(roomId, "guide", "next"),
+      message: `guide points at "${guide.next}", which is not a visible teleport of the room`
+    });
+  }
+}
+
+/**
+ * Checks ids and links of the rooms; `roomFiles` names the file of rooms that do not come
+ * from `file` (Markdown rooms).
+ */
+function checkRooms(file, rooms, extraSceneIds, issues, roomFiles = {}) {
+  if (!rooms || typeof rooms !== "object" || Array.isArray(rooms)) return;
+
+  const knownScenes = new Set([...Object.keys(rooms), ...extraSceneIds]);
+
+  Object.entries(rooms).forEach(([roomId, room]) => {
+    if (!room || typeof room !== "object") return;
+    const roomFile = roomFiles[roomId] || file;
+    checkDuplicateIds(roomFile, roomId, room.panels, "panels", issues);
+    checkDuplicateIds(roomFile, roomId, room.teleports, "teleports", issues);
+
+    checkGuide(roomFile, rooms, roomId, issues);
+
+    (room.teleports || []).forEach((teleport, index) => {
+      if (teleport?.target && !knownScenes.has(teleport.target)) {
+        issues.push({
+          severity: "error",
+          file: roomFile,
+          path: pointer(roomId, "teleports", index, "target"),
+          message: `unknown teleport target "${teleport.target}"`
+        });
+      }
+    });
+  });
+
+  if (!(START_ROOM in rooms)) {
+    issues.push({
+      severity: "error",
+      file,
+      path: "",
+      message: `missing start room "${START_ROOM}"`
+    });
+    return;
+  }
+
+  const reachable = new Set([START_ROOM]);
+  const queue = [START_ROOM];
+  while (queue.length > 0) {
+    neighbours(rooms, queue.shift()).forEach((target) => {
+      if (reachable.has(target)) return;
+      reachable.add(target);
+      queue.push(target);
+    });
+  }
+
+  Object.keys(rooms)
+    .filter((roomId) => !reachable.has(roomId))
+    .forEach((roomId) => {
+      issues.push({
+        severity: "warning",
+        file: roomFiles[roomId] || file,
+        path: pointer(roomId),
+        message: `room "${roomId}" cannot be reached from "${START_ROOM}" (only by URL)`
+      });
+    });
+}
+
+/**
+ * Checks that tour stops visit known rooms and highlight panels those rooms have, and that
+ * rooms offer (`tours`) only tours that exist. Panels of rooms registered in code are not
+ * known here, so their highlights are not checked.
+ */
+function checkTours(file, tours, rooms, extraSceneIds, issues, roomFiles = {}) {
+  if (!tours || typeof tours !== "object" || Array.isArray(tours)) return;
+
+  Object.entries(tours).forEach(([tourId, tour]) => {
+    (tour?.stops || []).forEach((stop, index) => {
+      const room = rooms[stop?.room];
+      if (!room && !extraSceneIds.includes(stop?.room)) {
+        issues.push({
+          severity: "error",
+          file,
+          path: pointer(tourId, "stops", index, "room"),
+          message: `unknown room "${stop?.room}"`
+        });
+        return;
+      }
+
+      const panelIds = (room?.panels || []).map((panel) => panel?.id);
+      (stop.highlight || []).forEach((panelId, highlightIndex) => {
+        if (room?.panels && !panelIds.includes(panelId)) {
+          issues.push({
+            severity: "error",
+            file,
+            path: pointer(tourId, "stops", index, "highlight", highlightIndex),
+            message: `room "${stop.room}" has no panel "${panelId}"`
+          });
+        }
+      });
+    });
+  });
+
+  Object.entries(rooms).forEach(([roomId, room]) => {
+    (room?.tours || []).forEach((tourId, index) => {
+      if (!(tourId in tours)) {
+        issues.push({
+          severity: "error",
+          file: roomFiles[roomId] || `${CONTENT_DIR}/showcaseScenes.json`,
+          path: pointer(roomId, "tours", index),
+          message: `unknown tour "${tourId}"`
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Checks a content file (bundled or replaced by a profile) against its schema, and its
+ * asset files, ids and room links. Rooms are checked together with the Markdown rooms.
+ */
+function checkContentFile(ajv, root, name, file, data, extraSceneIds, issues, markdown) {
+  checkSchema(ajv, root, name, file, data, issues);
+  checkAssets(root, file, data, issues);
+  checkRichText(file, data, issues);
+  if (name === "showcaseScenes") {
+    checkRooms(file, { ...data, ...markdown.rooms }, extraSceneIds, issues, markdown.files);
+  }
+}
+
+/**
+ * Reports Markdown room files that do not compile, compile to an invalid room, or reuse the
+ * id of a room in showcaseScenes.json.
+ */
+function checkMarkdownRooms(ajv, root, markdown, jsonRooms, issues) {
+  markdown.errors.forEach((error) => {
+    const message = error.line ? `line ${error.line}: ${error.reason}` : error.reason;
+    issues.push({ severity: "error", file: error.file, path: "", message });
+  });
+
+  Object.entries(markdown.rooms).forEach(([roomId, room]) => {
+    const file = markdown.files[roomId];
+    checkSchema(ajv, root, "showcaseScenes", file, { [roomId]: room }, issues);
+    checkAssets(root, file, { [roomId]: room }, issues);
+    checkRichText(file, { [roomId]: room }, issues);
+
+    if (jsonRooms && roomId in jsonRooms) {
+      issues.push({
+        severity: "error",
+        file,
+        path: pointer(roomId),
+        message: `room "${roomId}" is also declared in ${CONTENT_DIR}/showcaseScenes.json`
+      });
+    }
+  });
+}
+
+/**
+ * Content file as a profile sees it: its own copy from its profile folder, else `bundled`.
+ * Problems reading the copy are reported where the folder is checked.
+ */
+function readProfileContent(root, profileId, name, bundled) {
+  const file = path.join(root, PROFILES_DIR, profileId, `${name}.json`);
+  if (!existsSync(file)) return bundled;
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch {
+    return bundled;
+  }
+}
+
+/**
+ * Warns about tours a profile still offers (from a room it keeps) that visit a room it
+ * leaves out; the app hides such tours' buttons.
+ */
+function checkProfileTours(root, file, profileId, profile, markdown, bundled, issues) {
+  if (!profile?.rooms) return;
+
+  const rooms = {
+    ...readProfileContent(root, profileId, "showcaseScenes", bundled.rooms),
+    ...markdown.rooms
+  };
+  const tours = readProfileContent(root, profileId, "tours", bundled.tours) || {};
+  const kept = (roomId) => roomId === START_ROOM || profile.rooms.includes(roomId);
+
+  Object.entries(rooms)
+    .filter(([roomId]) => kept(roomId))
+    .forEach(([roomId, room]) => {
+      (room?.tours || []).forEach((tourId) => {
+        const dropped = [...new Set((tours[tourId]?.stops || []).map((stop) => stop?.room))].filter(
+          (stopRoom) => stopRoom in rooms && !kept(stopRoom)
+        );
+        if (dropped.length === 0) return;
+
+        issues.push({
+          severity: "warning",
+          file,
+          path: pointer("profiles", profileId, "rooms"),
+          message: `tour "${tourId}" (offered in "${roomId}") visits ${dropped.map((id) => `"${id}"`).join(", ")}, which this profile leaves out; its button is hidden`
+        });
+      });
+    });
+}
+
+/**
+ * Checks profiles.json (default profile, room sets, the tours each profile offers) and the
+ * content files each profile replaces in `src/content/profiles/<id>/`.
+ */
+function checkProfiles(ajv, root, rooms, tours, extraSceneIds, issues, markdown) {
+  const file = `${CONTENT_DIR}/profiles.json`;
+  const data = readJson(root, file, issues);
+  if (data === null) return;
+
+  checkSchema(ajv, root, "profiles", file, data, issues);
+  checkAssets(root, file, data, issues);
+  const profiles = data.profiles || {};
+
+  if (data.defaultProfile && !(data.defaultProfile in profiles)) {
+    issues.push({
+      severity: "error",
+      file,
+      path: pointer("defaultProfile"),
+      message: `unknown default profile "${data.defaultProfile}"`
+    });
+  }
+
+  const knownScenes = new Set([
+    ...Object.keys(rooms || {}),
+    ...Object.keys(markdown.rooms),
+    ...extraSceneIds
+  ]);
+  Object.entries(profiles).forEach(([profileId, profile]) => {
+    (profile?.rooms || []).forEach((roomId, index) => {
+      if (!knownScenes.has(roomId)) {
+        issues.push({
+          severity: "error",
+          file,
+          path: pointer("profiles", profileId, "rooms", index),
+          message: `unknown room "${roomId}"`
+        });
+      }
+    });
+    checkProfileTours(root, file, profileId, profile, markdown, { rooms, tours }, issues);
+  });
+
+  if (!existsSync(path.join(root, PROFILES_DIR))) return;
+  readdirSync(path.join(root, PROFILES_DIR), { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach(({ name: profileId }) => {
+      const directory = `${PROFILES_DIR}/${profileId}`;
+      if (!(profileId in profiles)) {
+        issues.push({
+          severity: "error",
+          file: directory,
+          path: "",
+          message: "folder does not belong to a profile in profiles.json"
+        });
+      }
+
+      readdirSync(path.join(root, directory))
+        .filter((entry) => entry.endsWith(".json"))
+        .forEach((entry) => {
+          const name = entry.slice(0, -".json".length);
+          const profileFile = `${directory}/${entry}`;
+          if (!CONTENT_FILES.includes(name)) {
+            issues.push({
+              severity: "error",
+              file: profileFile,
+              path: "",
+              message: `not a content file (expected one of ${CONTENT_FILES.join(", ")})`
+            });
+            return;
+          }
+
+          const profileData = readJson(root, profileFile, issues);
+          if (profileData !== null) {
+            checkContentFile(
+              ajv,
+              root,
+              name,
+              profileFile,
+              profileData,
+              extraSceneIds,
+              issues,
+              markdown
+            );
+          }
+        });
+    });
+}
+
+/**
+ * Validates every content file against its JSON Schema and checks links between them:
+ * teleport targets, tour stops, reachability from the main hall, asset files and duplicate ids.
+ * Rooms written in Markdown (content/rooms/*.md), profiles and the content files they
+ * replace are checked the same way.
+ *
+ * @param {Object} options
+ * @param {string} options.root - project root (default: this repository)
+ * @param {string[]} options.extraSceneIds - scenes registered in code that teleports may target
+ * @returns {ContentIssue[]}
+ */
+export function validateContent({ root = ROOT, extraSceneIds = [] } = {}) {
+  const issues = [];
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const markdown = compileMarkdownRooms(root);
+
+  let rooms = null;
+  let tours = null;
+
+  CONTENT_FILES.forEach((name) => {
+    const file = `${CONTENT_DIR}/${name}.json`;
+    const data = readJson(root, file, issues);
+    if (data === null) return;
+
+    checkContentFile(ajv, root, name, file, data, extraSceneIds, issues, markdown);
+    if (name === "showcaseScenes") {
+      rooms = data;
+    } else if (name === "tours") {
+      tours = data;
+    }
+  });
+
+  const allRooms = { ...rooms, ...markdown.rooms };
+  checkTours(`${CONTENT_DIR}/tours.json`, tours, allRooms, extraSceneIds, issues, markdown.files);
+  checkMarkdownRooms(ajv, root, markdown, rooms, issues);
+  checkProfiles(ajv, root, rooms, tours, extraSceneIds, issues, markdown);
+  return issues;
+}
+
+/**
+ * @param {ContentIssue} issue
+ * @returns {string} e.g. `error src/content/showcaseScenes.json#/gallery/teleports/0/target: …`
+ */
+export function formatIssue({ severity, file, path: location, message }) {
+  return `${severity} ${file}${location ? `#${location}` : ""}: ${message}`;
+}
+
+// `node scripts/validateContent.js` prints every issue and fails on errors
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const issues = validateContent();
+  const errors = issues.filter((issue) => issue.severity === "error");
+
+  issues.forEach((issue) => {
+    const print = issue.severity === "error" ? console.error : console.warn;
+    print(formatIssue(issue));
+  });
+  console.log(
+    `[ContentValidation] ${errors.length} error(s), ${issues.length - errors.length} warning(s)`
+  );
+  process.exitCode = errors.length > 0 ? 1 : 0;
+}
@@ -1,9 +1,80 @@
+import { createAmbientAudio } from "../components/AmbientAudio.js";
+import { createTourControls } from "../components/TourControls.js";
+import { PREFETCH } from "../constants/sceneConstants.js";
+import { loadCachedContent, refreshContent } from "../content/contentProvider.js";
+import { applyProfileTheme, loadProfile } from "../content/profileLoader.js";
+import { getTours, onContentChange } from "../content/showcaseContent.js";
+import { registerPanelReadySystem } from "../systems/PanelReadySystem.js";
+import { ScenePrefetcher } from "../systems/ScenePrefetcher.js";
 import { SceneManager } from "../systems/SceneManager.js";
-import { MainHallScene } from "../scenes/MainHallScene.js";
+import { SceneRouter } from "../systems/SceneRouter.js";
+import { getMissingTourRooms } from "../systems/TourPlayer.js";
+import { logger } from "../utils/logger.js";
+import { registerUISounds } from "../utils/sounds.js";
+
+/**
+ * Tour named by `?tour=<id>` in the URL, so a kiosk or booth headset can open straight into
+ * a guided tour.
+ * @returns {{ tourId: string, tour: Object }|null}
+ */
+function resolveTourFromUrl() {
+  const tourId = new window.URLSearchParams(window.location.search).get("tour");
+  if (!tourId) return null;
+
+  const tour = getTours()?.[tourId];
+  if (!tour) {
+    logger.warn(`[SpatialShowcase] Unknown tour "${tourId}" in the URL`);
+    return null;
+  }
+  const missingRooms = getMissingTourRooms(tour);
+  if (missingRooms.length > 0) {
+    logger.warn(`[SpatialShowcase] Tour "${tourId}" visits unavailable ${missingRooms.join(", ")}`);
+    return null;
+  }
+  return { tourId, tour };
+}
+
+export async function startSpatialShowcase(world) {
+  registerPanelReadySystem(world);
+
+  // The profile picks the content bundle; content fetched for it on an earlier visit replaces
+  // the bundled copy before the first room renders
+  const profile = await loadProfile();
+  applyProfileTheme(world, profile);
+  await loadCachedContent();
 
-export function startSpatialShowcase(world) {
   const sceneManager = new SceneManager(world);
+  const router = new SceneRouter(sceneManager, { basePath: profile.basePath });
+  router.start();
+
+  // Warm the rooms reachable from the active room while the user looks around
+  if (PREFETCH.ENABLED) {
+    new ScenePrefetcher(sceneManager).start();
+  }
+
+  // Room ambient tracks crossfade with scene transitions; UI sounds are shared by every room
+  createAmbientAudio(world, sceneManager);
+  registerUISounds(world);
+
+  // Tours started from a room button or the URL show their controls until they end
+  sceneManager.on("tour", ({ tour }) => createTourControls(world, tour));
+
+  // Edited (Vite HMR) or refreshed content re-renders the current room; the XR session stays up
+  onContentChange(() => {
+    sceneManager.reload().catch((error) => logger.error("[SpatialShowcase] Reload failed:", error));
+  });
+
+  // Load the scene named in the URL (Main Hall when there is none), then start its tour
+  const urlTour = resolveTourFromUrl();
+  sceneManager
+    .navigate(router.getInitialSceneId(), { replace: true })
+    .then((scene) => {
+      // A superseded first load resolves null; the visitor is already somewhere else
+      if (scene && urlTour) sceneManager.playTour(urlTour.tourId, urlTour.tour);
+    })
+    // handleSceneLoadError has already reported the failure to the visitor
+    .catch((error) => logger.error("[SpatialShowcase] Initial scene failed to load:", error));
 
-  // Load the first scene (Main Hall)
-  sceneManager.loadScene(MainHallScene);
+  // Check the content host for newer files; offline visits keep the cached or bundled copy
+  refreshContent();
 }
@@ -0,0 +1,73 @@
+import { AudioSource, AudioUtils } from "@iwsdk/core";
+import { AUDIO } from "../constants/sceneConstants.js";
+import { getShowcaseScene } from "../content/showcaseContent.js";
+import { AudioChannel, Channel, getAudioMixSystem } from "../systems/AudioMixSystem.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Plays each room's `ambient` track on the music channel, crossfading from the previous
+ * room's track while the scene transition runs. Rooms sharing a track keep it playing, and
+ * rooms without one fade the music out.
+ *
+ * @param {import("@iwsdk/core").World} world
+ * @param {import("../systems/SceneManager.js").SceneManager} sceneManager
+ * @returns {{ dispose: Function }}
+ */
+export function createAmbientAudio(world, sceneManager) {
+  getAudioMixSystem(world);
+  const fadeSeconds = AUDIO.AMBIENT.CROSSFADE_DURATION / 1000;
+  let current = null;
+
+  function destroy(entity) {
+    try {
+      entity.destroy();
+    } catch (e) {
+      logger.debug(`[AmbientAudio] Could not destroy track entity: ${e.message}`);
+    }
+  }
+
+  function fadeOut(entity) {
+    // A track still loading has nothing to fade
+    if (!AudioUtils.isPlaying(entity)) {
+      destroy(entity);
+      return;
+    }
+    // The AudioSystem releases the faded-out sound; the entity goes once the fade is over
+    AudioUtils.pause(entity, fadeSeconds);
+    setTimeout(() => destroy(entity), AUDIO.AMBIENT.CROSSFADE_DURATION);
+  }
+
+  /**
+   * @param {{ src: string, volume?: number }|null|undefined} ambient - the room's `ambient`
+   */
+  function play(ambient) {
+    const src = ambient?.src || null;
+    const volume = ambient?.volume ?? AUDIO.AMBIENT.VOLUME;
+    if (current?.src === src && current?.volume === volume) return;
+
+    if (current) {
+      fadeOut(current.entity);
+      current = null;
+    }
+    if (!src) return;
+
+    const entity = world
+      .createEntity()
+      .addComponent(AudioSource, { src, loop: true, positional: false })
+      .addComponent(AudioChannel, { channel: Channel.Music, volume });
+    AudioUtils.play(entity, fadeSeconds);
+    current = { src, volume, entity };
+    logger.info(`[AmbientAudio] Playing ${src}`);
+  }
+
+  const unsubscribe = sceneManager.on("init", ({ scene }) => {
+    play(getShowcaseScene(scene.sceneId)?.ambient);
+  });
+
+  return {
+    dispose() {
+      unsubscribe();
+      play(null);
+    }
+  };
+}
@@ -1,68 +1,49 @@
 import { PanelUI } from "@iwsdk/core";
 import { bindPanelButton } from "../utils/panelBindings.js";
-import { CAMERA, PORTAL, UI_TEXT } from "../constants/sceneConstants.js";
-import { safeDynamicImport, handleSceneLoadError } from "../utils/errorHandler.js";
+import { PORTAL, UI_TEXT } from "../constants/sceneConstants.js";
+import { applyPlacement, computeLayout } from "../utils/layout.js";
 import { logger } from "../utils/logger.js";
+import { SCENE_IDS, getSceneTitle } from "../scenes/sceneRegistry.js";
+
+/** Default placement: centered in front of the user, above forward navigation */
+const [DEFAULT_PLACEMENT] = computeLayout(1, { type: "row", height: 1.0, z: -2.5 });
 
 /**
- * Creates a back button entity that navigates to the main hall scene.
+ * Creates a back button entity that returns to the previous scene in the scene manager's
+ * history. When there is no history (e.g. the room was the first one loaded) it falls
+ * back to the main hall.
  *
  * @param {Object} world - The IWSDK world instance
  * @param {Object} sceneManager - The scene manager instance
  * @param {Array} entities - Array to add the created entity to
+ * @param {{ position: Object, lookAt: Object|null }} placement - Placement from computeLayout
  * @returns {Entity} The created back button entity
  */
-export function createBackButton(world, sceneManager, entities) {
+export function createBackButton(world, sceneManager, entities, placement = DEFAULT_PLACEMENT) {
   const entity = world.createTransformEntity().addComponent(PanelUI, {
     config: PORTAL.PANEL.configPath,
     maxWidth: 1.0, // Smaller width for better visibility
     maxHeight: 0.4 // Smaller height for better visibility
   });
 
-  // Position back button centered, in front of user (same Z as panels)
-  // Positioned at x=0, y=1.0 (top) to stack above forward button
-  entity.object3D.position.set(0, 1.0, -2.5);
-  entity.object3D.lookAt(0, 1.6, 0);
+  applyPlacement(entity.object3D, placement);
 
   entities.push(entity);
 
-  // Track if back button navigation is in progress
-  let isNavigating = false;
+  const destinationId = sceneManager.history.peekBack() || SCENE_IDS.MAIN_HALL;
 
   bindPanelButton(entity, {
-    label: UI_TEXT.BACK_BUTTON_LABEL,
-    onClick: async (event) => {
-      logger.info("[BackButton] Back button clicked", { event, isNavigating });
-
-      if (isNavigating) {
-        logger.warn("[BackButton] Navigation already in progress, ignoring click");
-        return;
-      }
+    label: UI_TEXT.BACK_BUTTON_LABEL.replace("{room}", getSceneTitle(destinationId)),
+    onClick: () => {
+      logger.info(`[BackButton] Back button clicked -> ${destinationId}`);
 
-      isNavigating = true;
-      logger.info("[BackButton] Starting navigation to Main Hall");
+      const navigation = sceneManager.history.canGoBack()
+        ? sceneManager.back()
+        : sceneManager.navigate(SCENE_IDS.MAIN_HALL);
 
-      try {
-        const module = await safeDynamicImport(
-          () => import("../scenes/MainHallScene.js"),
-          "MainHallScene"
-        );
-        if (!module?.MainHallScene) {
-          logger.warn('[BackButton] "MainHallScene" export not found.');
-          isNavigating = false;
-          return;
-        }
-        logger.info("[BackButton] Loading MainHallScene");
-        sceneManager.loadScene(module.MainHallScene);
-        // Reset after delay
-        setTimeout(() => {
-          isNavigating = false;
-        }, 2000);
-      } catch (error) {
-        logger.error("[BackButton] Error loading MainHallScene:", error);
-        handleSceneLoadError("MainHallScene", error);
-        isNavigating = false;
-      }
+      navigation.catch((error) => {
+        logger.error(`[BackButton] Navigation to ${destinationId} failed:`, error);
+      });
     }
   });
 
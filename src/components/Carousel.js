@@ -0,0 +1,127 @@
+import { PanelUI } from "@iwsdk/core";
+import { CAROUSEL } from "../constants/sceneConstants.js";
+import { applyPlacement } from "../utils/layout.js";
+import { logger } from "../utils/logger.js";
+import { bindPanelButton } from "../utils/panelBindings.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+
+/**
+ * Renders the page indicator: one dot per page, or "3 / 12" when there are too many pages
+ * for dots to stay readable.
+ * @param {number} page - zero-based
+ * @param {number} pageCount
+ * @returns {string}
+ */
+function formatIndicator(page, pageCount) {
+  if (pageCount > CAROUSEL.MAX_INDICATOR_DOTS) {
+    return `${page + 1} / ${pageCount}`;
+  }
+  return Array.from({ length: pageCount }, (_, index) => (index === page ? "●" : "○")).join(" ");
+}
+
+/**
+ * Creates a pager over `itemCount` items shown `pageSize` at a time, with previous/next
+ * controls, a page indicator and optional auto-advance. The carousel only tracks the page;
+ * `onPageChange` renders it.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @param {Object} options
+ * @param {number} options.itemCount - total number of items
+ * @param {number} options.pageSize - items per page
+ * @param {(page: number, range: { start: number, end: number }) => void} options.onPageChange
+ * @param {{ position: Object, lookAt: Object|null }} options.placement - where the controls go
+ * @param {number} [options.autoAdvance=0] - milliseconds between automatic page turns (0 = off)
+ * @param {boolean} [options.loop=true] - wrap from the last page to the first and back
+ * @returns {{ entity: Entity|null, pageSize: number, pageCount: number, page: number,
+ *   next: Function, prev: Function, goTo: Function, dispose: Function }}
+ */
+export function createCarousel(
+  world,
+  { itemCount, pageSize, onPageChange, placement, autoAdvance = 0, loop = true }
+) {
+  const pageCount = Math.max(1, Math.ceil(itemCount / pageSize));
+  let page = 0;
+  let autoAdvanceTimer = null;
+  let indicatorElement = null;
+  let entity = null;
+
+  function scheduleAutoAdvance() {
+    clearTimeout(autoAdvanceTimer);
+    autoAdvanceTimer = null;
+    if (autoAdvance > 0 && pageCount > 1 && (loop || page < pageCount - 1)) {
+      autoAdvanceTimer = setTimeout(() => goTo(page + 1), autoAdvance);
+    }
+  }
+
+  function goTo(nextPage) {
+    const target = loop
+      ? ((nextPage % pageCount) + pageCount) % pageCount
+      : Math.min(Math.max(nextPage, 0), pageCount - 1);
+
+    if (target !== page) {
+      page = target;
+      indicatorElement?.setProperties?.({ text: formatIndicator(page, pageCount) });
+      logger.debug(`[Carousel] Page ${page + 1}/${pageCount}`);
+      onPageChange(page, pageRange(page));
+    }
+
+    // Manual navigation restarts the auto-advance countdown
+    scheduleAutoAdvance();
+  }
+
+  function pageRange(pageIndex) {
+    const start = pageIndex * pageSize;
+    return { start, end: Math.min(start + pageSize, itemCount) };
+  }
+
+  if (pageCount > 1) {
+    entity = world.createTransformEntity().addComponent(PanelUI, {
+      config: CAROUSEL.CONTROLS.configPath,
+      maxWidth: CAROUSEL.CONTROLS.maxWidth,
+      maxHeight: CAROUSEL.CONTROLS.maxHeight
+    });
+    applyPlacement(entity.object3D, placement);
+
+    bindPanelButton(entity, {
+      label: "Previous page",
+      titleId: null,
+      buttonId: "carousel-prev",
+      onClick: () => goTo(page - 1)
+    });
+    bindPanelButton(entity, {
+      label: "Next page",
+      titleId: null,
+      buttonId: "carousel-next",
+      onClick: () => goTo(page + 1)
+    });
+    whenPanelReady(entity)
+      .then((document) => {
+        indicatorElement = document.getElementById?.("carousel-indicator");
+        indicatorElement?.setProperties?.({ text: formatIndicator(page, pageCount) });
+      })
+      .catch((error) => reportPanelNotReady("[Carousel]", error));
+  }
+
+  const carousel = {
+    entity,
+    pageSize,
+    pageCount,
+    get page() {
+      return page;
+    },
+    next: () => goTo(page + 1),
+    prev: () => goTo(page - 1),
+    goTo,
+    /**
+     * Stops auto-advance. The controls entity is disposed by whoever tracks it.
+     */
+    dispose() {
+      clearTimeout(autoAdvanceTimer);
+      autoAdvanceTimer = null;
+    }
+  };
+
+  onPageChange(page, pageRange(page));
+  scheduleAutoAdvance();
+  return carousel;
+}
@@ -0,0 +1,215 @@
+import { PanelUI } from "@iwsdk/core";
+import { LIGHTBOX } from "../constants/sceneConstants.js";
+import { getLightboxInputSystem } from "../systems/LightboxInputSystem.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { isInputBlocked } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+import { addButtonSounds, playUISound } from "../utils/sounds.js";
+
+const KEY_ACTIONS = {
+  ArrowLeft: (lightbox) => lightbox.prev(),
+  ArrowRight: (lightbox) => lightbox.next(),
+  Escape: (lightbox) => lightbox.close(),
+  "+": (lightbox) => lightbox.zoomBy(1.25),
+  "=": (lightbox) => lightbox.zoomBy(1.25),
+  "-": (lightbox) => lightbox.zoomBy(0.8)
+};
+
+/**
+ * Normalizes a collection entry; entries may be plain image URLs.
+ * @param {string|{ src: string, title?: string, caption?: string }} item
+ * @returns {{ src: string, title: string, caption: string }}
+ */
+function normalizeItem(item) {
+  const entry = typeof item === "string" ? { src: item } : item;
+  return { title: "", caption: "", ...entry };
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Creates a lightbox that shows one image of a collection at a time, with title, caption,
+ * previous/next navigation, zoom and pan. Controllers drive it through LightboxInputSystem;
+ * on desktop the arrow keys, +/- and Escape do the same.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @returns {{ open: Function, close: Function, next: Function, prev: Function,
+ *   zoomBy: Function, panBy: Function, isOpen: () => boolean }}
+ */
+export function createLightbox(world) {
+  let entity = null;
+  let document = null;
+  let items = [];
+  let index = 0;
+  let zoom = LIGHTBOX.MIN_ZOOM;
+  let pan = { x: 0, y: 0 };
+
+  const onKeyDown = (event) => {
+    const action = KEY_ACTIONS[event.key];
+    if (action && !isInputBlocked()) {
+      action(lightbox);
+    }
+  };
+
+  function element(id) {
+    return document?.getElementById?.(id) || null;
+  }
+
+  function applyTransform() {
+    element("lightbox-image")?.setProperties?.({
+      transformScaleX: zoom,
+      transformScaleY: zoom,
+      transformTranslateX: pan.x,
+      transformTranslateY: pan.y
+    });
+  }
+
+  function render() {
+    const item = items[index];
+    if (!item || !document) return;
+
+    element("lightbox-image")?.setProperties?.({ src: item.src });
+    element("lightbox-title")?.setProperties?.({ text: item.title });
+    element("lightbox-caption")?.setProperties?.({
+      text: item.caption,
+      display: item.caption ? "flex" : "none"
+    });
+    element("lightbox-counter")?.setProperties?.({ text: `${index + 1} / ${items.length}` });
+
+    const navDisplay = items.length > 1 ? "flex" : "none";
+    element("lightbox-prev")?.setProperties?.({ display: navDisplay });
+    element("lightbox-next")?.setProperties?.({ display: navDisplay });
+
+    applyTransform();
+    logger.info(`[Lightbox] Showing ${index + 1}/${items.length}: ${item.src}`);
+  }
+
+  function bindButton(id, action) {
+    const button = element(id);
+    if (!button) return;
+    addButtonSounds(button);
+    button.addEventListener("click", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      action();
+    });
+  }
+
+  function showAt(nextIndex) {
+    if (items.length === 0) return;
+    index = (nextIndex + items.length) % items.length;
+    zoom = LIGHTBOX.MIN_ZOOM;
+    pan = { x: 0, y: 0 };
+    render();
+  }
+
+  const lightbox = {
+    /**
+     * Opens the lightbox on `collection[startIndex]`, replacing any open collection.
+     * @param {Array<string|{ src: string, title?: string, caption?: string }>} collection
+     * @param {number} startIndex
+     */
+    open(collection, startIndex = 0) {
+      items = collection.map(normalizeItem);
+      if (items.length === 0) {
+        logger.warn("[Lightbox] Nothing to show");
+        return;
+      }
+
+      if (entity) {
+        showAt(startIndex);
+        return;
+      }
+
+      index = clamp(startIndex, 0, items.length - 1);
+      zoom = LIGHTBOX.MIN_ZOOM;
+      pan = { x: 0, y: 0 };
+
+      const panelEntity = world.createTransformEntity().addComponent(PanelUI, {
+        config: LIGHTBOX.configPath,
+        maxWidth: LIGHTBOX.maxWidth,
+        maxHeight: LIGHTBOX.maxHeight
+      });
+      const { x, y, z } = LIGHTBOX.POSITION;
+      panelEntity.object3D.position.set(x, y, z);
+      panelEntity.object3D.lookAt(0, y, 0);
+      entity = panelEntity;
+
+      getLightboxInputSystem(world).setTarget(lightbox);
+      window.addEventListener("keydown", onKeyDown);
+      playUISound("open");
+
+      whenPanelReady(panelEntity)
+        .then((panelDocument) => {
+          // The lightbox may have been closed while its document was loading
+          if (panelEntity !== entity) return;
+          document = panelDocument;
+          bindButton("lightbox-close-button", () => lightbox.close());
+          bindButton("lightbox-prev", () => lightbox.prev());
+          bindButton("lightbox-next", () => lightbox.next());
+          render();
+        })
+        .catch((error) => reportPanelNotReady("[Lightbox]", error));
+    },
+
+    close() {
+      if (!entity) return;
+
+      const closing = entity;
+      entity = null;
+      document = null;
+      getLightboxInputSystem(world).setTarget(null);
+      window.removeEventListener("keydown", onKeyDown);
+      playUISound("close");
+
+      closing.object3D?.parent?.remove(closing.object3D);
+      closing.object3D?.traverse((object) => {
+        if (object.isMesh) {
+          object.geometry?.dispose();
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach((material) => material?.dispose());
+        }
+      });
+      try {
+        closing.destroy();
+      } catch (e) {
+        logger.debug(`[Lightbox] Could not destroy lightbox entity: ${e.message}`);
+      }
+
+      logger.info("[Lightbox] Closed");
+    },
+
+    next: () => showAt(index + 1),
+    prev: () => showAt(index - 1),
+
+    /**
+     * Multiplies the zoom factor, keeping the pan inside the zoomed image.
+     * @param {number} factor
+     */
+    zoomBy(factor) {
+      zoom = clamp(zoom * factor, LIGHTBOX.MIN_ZOOM, LIGHTBOX.MAX_ZOOM);
+      lightbox.panBy(0, 0);
+    },
+
+    /**
+     * Moves the zoomed image by a fraction of the viewport size.
+     * @param {number} dx - positive pans right
+     * @param {number} dy - positive pans up
+     */
+    panBy(dx, dy) {
+      const { width, height } = LIGHTBOX.VIEWPORT;
+      const maxX = ((zoom - 1) * width) / 2;
+      const maxY = ((zoom - 1) * height) / 2;
+      pan = {
+        x: clamp(pan.x - dx * width, -maxX, maxX),
+        y: clamp(pan.y - dy * height, -maxY, maxY)
+      };
+      applyTransform();
+    },
+
+    isOpen: () => entity !== null,
+    isZoomed: () => zoom > LIGHTBOX.MIN_ZOOM
+  };
+
+  return lightbox;
+}
@@ -0,0 +1,160 @@
+import { DistanceGrabbable, Interactable, MovementMode, PanelUI } from "@iwsdk/core";
+import * as THREE from "three";
+import { MODEL_EXHIBIT } from "../constants/sceneConstants.js";
+import { getTurntableSystem, Turntable } from "../systems/TurntableSystem.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { bindPanelContent } from "../utils/panelContent.js";
+import { loadFittedModel } from "../utils/models.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Turntable speed for a model entry: `true` uses the default speed, a number is degrees per
+ * second, anything else leaves the model still.
+ * @param {boolean|number|undefined} turntable
+ * @returns {number}
+ */
+function turntableSpeed(turntable) {
+  if (turntable === true) return MODEL_EXHIBIT.TURNTABLE_SPEED;
+  return typeof turntable === "number" ? turntable : 0;
+}
+
+/**
+ * Creates the pedestal, with its base at the group's origin so it stands on the floor.
+ * @returns {THREE.Group}
+ */
+function createPedestalMesh() {
+  const { HEIGHT, RADIUS, COLOR, SEGMENTS } = MODEL_EXHIBIT.PEDESTAL;
+  const mesh = new THREE.Mesh(
+    new THREE.CylinderGeometry(RADIUS, RADIUS * 1.1, HEIGHT, SEGMENTS),
+    new THREE.MeshStandardMaterial({ color: COLOR, roughness: 0.6, metalness: 0.2 })
+  );
+  mesh.position.y = HEIGHT / 2;
+  const pedestal = new THREE.Group();
+  pedestal.add(mesh);
+  return pedestal;
+}
+
+/**
+ * Creates a 3D model exhibit: a GLTF loaded through the world's AssetManager, standing on a
+ * pedestal with an info panel beside it. The exhibit stands on the floor below `placement`
+ * and faces the same way a panel there would.
+ *
+ * The model shares its geometry, materials and textures with the AssetManager's cache, so its
+ * entity is flagged `userData.sharedResources`; BaseScene leaves them alone when it disposes
+ * the entity.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @param {Object} panel - Room panel entry with a `model`
+ * @param {string} panel.title - Shown on the info panel
+ * @param {string} panel.description - Rich-text description for the info panel
+ * @param {Object} panel.model
+ * @param {string} panel.model.src - .gltf or .glb file under public/
+ * @param {number} panel.model.size - Largest dimension in meters (default: DEFAULT_SIZE)
+ * @param {boolean|number} panel.model.turntable - Spin the model, optionally at this many
+ *   degrees per second (default: false)
+ * @param {boolean} panel.model.grabbable - Let the viewer grab the model to turn it in
+ *   place; it returns to the pedestal when let go (default: true)
+ * @param {boolean} panel.model.pedestal - Show the pedestal (default: true)
+ * @param {{ position: Object, lookAt: Object|null }} placement - from computeLayout
+ * @param {Object} options
+ * @param {Function} options.onReadMore - opens the full description
+ * @returns {Entity[]} the exhibit's entities (pedestal, model and info panel)
+ */
+export function createModelExhibit(world, panel, placement, { onReadMore = null } = {}) {
+  const {
+    src,
+    size = MODEL_EXHIBIT.DEFAULT_SIZE,
+    turntable = false,
+    grabbable = true,
+    pedestal = true
+  } = panel.model;
+  const { HEIGHT } = MODEL_EXHIBIT.PEDESTAL;
+  const entities = [];
+
+  // The exhibit's frame: on the floor below the placement, upright, facing the viewer
+  const anchor = new THREE.Object3D();
+  anchor.position.set(placement.position.x, 0, placement.position.z);
+  if (placement.lookAt) {
+    anchor.lookAt(placement.lookAt.x, 0, placement.lookAt.z);
+  }
+  anchor.updateMatrixWorld();
+
+  const place = (entity, offset) => {
+    entity.object3D.position.copy(anchor.localToWorld(new THREE.Vector3(...offset)));
+    entity.object3D.quaternion.copy(anchor.quaternion);
+  };
+
+  if (pedestal) {
+    const pedestalEntity = world.createTransformEntity(createPedestalMesh());
+    place(pedestalEntity, [0, 0, 0]);
+    entities.push(pedestalEntity);
+  }
+
+  const baseHeight = pedestal ? HEIGHT : 0;
+  const modelEntity = world.createTransformEntity(new THREE.Group());
+  place(modelEntity, [0, baseHeight, 0]);
+  modelEntity.object3D.userData.sharedResources = true;
+  entities.push(modelEntity);
+
+  const speed = turntableSpeed(turntable);
+  if (speed !== 0) {
+    getTurntableSystem(world);
+    modelEntity.addComponent(Turntable, { speed });
+  }
+  if (grabbable) {
+    modelEntity.addComponent(Interactable).addComponent(DistanceGrabbable, {
+      movementMode: MovementMode.RotateAtSource,
+      returnToOrigin: true
+    });
+  }
+
+  let disposed = false;
+  loadFittedModel(src, size)
+    .then(({ model, height }) => {
+      if (disposed) return;
+      modelEntity.object3D.add(model);
+      // Rest the model on the pedestal; its pivot is its center
+      place(modelEntity, [0, baseHeight + height / 2, 0]);
+      logger.info(`[ModelExhibit] Loaded ${src} for "${panel.id}"`);
+    })
+    .catch((error) => logger.error(`[ModelExhibit] Failed to load ${src}:`, error));
+
+  modelEntity.object3D.userData.modelCleanup = () => {
+    disposed = true;
+  };
+
+  const { OFFSET, configPath, maxWidth, maxHeight } = MODEL_EXHIBIT.INFO_PANEL;
+  const infoEntity = world
+    .createTransformEntity()
+    .addComponent(PanelUI, { config: configPath, maxWidth, maxHeight });
+  place(infoEntity, [OFFSET.x, OFFSET.y, OFFSET.z]);
+  entities.push(infoEntity);
+
+  bindPanelContent(
+    infoEntity,
+    { title: panel.title, description: panel.description || "" },
+    { onReadMore }
+  );
+  if (grabbable) {
+    whenPanelReady(infoEntity)
+      .then((document) => {
+        document.getElementById?.("model-info-hint")?.setProperties?.({ display: "flex" });
+      })
+      .catch((error) => reportPanelNotReady("[ModelExhibit]", error));
+  }
+
+  logger.debug(`[ModelExhibit] Exhibit "${panel.id}" created`, placement.position);
+  return entities;
+}
+
+/**
+ * Stops a model exhibit's pending load, so a model arriving after its room has gone is not
+ * added to the scene.
+ * @param {Entity} entity - Model entity created by createModelExhibit
+ */
+export function stopModel(entity) {
+  if (entity.object3D.userData.modelCleanup) {
+    entity.object3D.userData.modelCleanup();
+    delete entity.object3D.userData.modelCleanup;
+  }
+}
@@ -0,0 +1,275 @@
+import { PanelUI } from "@iwsdk/core";
+import * as THREE from "three";
+import { PANORAMA } from "../constants/sceneConstants.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { resolveTransition, TransitionManager } from "../systems/TransitionManager.js";
+import { bindPanelButton } from "../utils/panelBindings.js";
+import { blockInput, isInputBlocked, releaseInput } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+import { playUISound } from "../utils/sounds.js";
+
+const INPUT_LOCK_REASON = "panorama";
+
+/** Yaw that turns the center of an equirectangular image (which lands on -X) toward -Z */
+const IMAGE_CENTER_YAW = -Math.PI / 2;
+
+/** Which half of a top/bottom stereo image each eye sees (three.js UV origin is bottom-left) */
+const STEREO_HALVES = [
+  { layer: PANORAMA.LEFT_EYE_LAYER, offsetY: 0.5 },
+  { layer: PANORAMA.RIGHT_EYE_LAYER, offsetY: 0 }
+];
+
+/**
+ * Builds the inward-facing photo sphere. Mono photos are a single mesh on the default layer;
+ * top/bottom stereo photos get one mesh per eye, each on a layer only that eye renders.
+ * @param {THREE.Texture} texture
+ * @param {boolean} stereo
+ * @returns {THREE.Group}
+ */
+function createPhotoSphere(texture, stereo) {
+  const group = new THREE.Group();
+  group.name = "PanoramaSphere";
+
+  const halves = stereo ? STEREO_HALVES : [{ layer: 0, offsetY: 0 }];
+  halves.forEach(({ layer, offsetY }) => {
+    const map = stereo ? texture.clone() : texture;
+    if (stereo) {
+      map.repeat.set(1, 0.5);
+      map.offset.set(0, offsetY);
+      map.needsUpdate = true;
+    }
+
+    const geometry = new THREE.SphereGeometry(
+      PANORAMA.RADIUS,
+      PANORAMA.WIDTH_SEGMENTS,
+      PANORAMA.HEIGHT_SEGMENTS
+    );
+    // Mirror the sphere so its faces (and the image) point inward, un-mirrored
+    geometry.scale(-1, 1, 1);
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ map, depthWrite: false }));
+    mesh.layers.set(layer);
+    mesh.renderOrder = -1;
+    group.add(mesh);
+  });
+
+  return group;
+}
+
+function disposePhotoSphere(group) {
+  group.parent?.remove(group);
+  group.traverse((object) => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    object.material.map?.dispose();
+    object.material.dispose();
+  });
+}
+
+/**
+ * Creates a viewer that shows equirectangular 360° photos on a sphere around the viewer.
+ * Entering fades out the current room (hiding the given entities), exiting fades it back.
+ * A floating control in front of the viewer (or Escape on desktop) leaves the viewer.
+ *
+ * Photos with `stereo: "top-bottom"` hold the left eye's image in the top half and the right
+ * eye's in the bottom half. Outside XR, the left eye's image is shown.
+ *
+ * The fades use the viewer's own overlay, so disposing the viewer mid-fade (the room changing
+ * under it) removes its cover without touching a scene transition in progress.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @returns {{ open: Function, close: Function, dispose: Function, isOpen: () => boolean }}
+ */
+export function createPanoramaViewer(world) {
+  const transitions = new TransitionManager(world);
+  const transition = resolveTransition(PANORAMA.TRANSITION);
+  let sphere = null;
+  let controls = null;
+  let hidden = [];
+  let busy = false;
+  let disposed = false;
+
+  const onKeyDown = (event) => {
+    if (event.key === "Escape" && !isInputBlocked()) {
+      viewer.close();
+    }
+  };
+
+  // Outside XR the main camera renders the left eye's layer, so stereo photos stay visible.
+  // Inside XR each eye camera adds its own layer to the main camera's mask.
+  const syncMonoLayer = () => {
+    const showLeftEye = sphere !== null && !world.renderer.xr.isPresenting;
+    if (showLeftEye) {
+      world.camera.layers.enable(PANORAMA.LEFT_EYE_LAYER);
+    } else {
+      world.camera.layers.disable(PANORAMA.LEFT_EYE_LAYER);
+    }
+  };
+
+  function createControls(title, origin, forward) {
+    const entity = world.createTransformEntity().addComponent(PanelUI, {
+      config: PANORAMA.CONTROLS.configPath,
+      maxWidth: PANORAMA.CONTROLS.maxWidth,
+      maxHeight: PANORAMA.CONTROLS.maxHeight
+    });
+
+    const position = origin.clone().addScaledVector(forward, PANORAMA.CONTROLS.DISTANCE);
+    position.y -= PANORAMA.CONTROLS.DROP;
+    entity.object3D.position.copy(position);
+    entity.object3D.lookAt(origin.x, position.y, origin.z);
+
+    whenPanelReady(entity)
+      .then((document) => {
+        document.getElementById?.("panorama-title")?.setProperties?.({
+          text: title,
+          display: title ? "flex" : "none"
+        });
+      })
+      .catch((error) => reportPanelNotReady("[PanoramaViewer]", error));
+
+    bindPanelButton(entity, {
+      label: "Exit 360° view",
+      titleId: null,
+      buttonId: "panorama-exit",
+      onClick: () => viewer.close()
+    });
+
+    return entity;
+  }
+
+  /** Removes the photo and controls and shows the room again, without a transition */
+  function teardown() {
+    if (sphere) {
+      disposePhotoSphere(sphere);
+      sphere = null;
+    }
+    if (controls) {
+      controls.object3D?.parent?.remove(controls.object3D);
+      try {
+        controls.destroy();
+      } catch (e) {
+        logger.debug(`[PanoramaViewer] Could not destroy controls entity: ${e.message}`);
+      }
+      controls = null;
+    }
+
+    hidden.forEach(({ object3D, visible }) => {
+      object3D.visible = visible;
+    });
+    hidden = [];
+
+    syncMonoLayer();
+    window.removeEventListener("keydown", onKeyDown);
+    world.renderer.xr.removeEventListener("sessionstart", syncMonoLayer);
+    world.renderer.xr.removeEventListener("sessionend", syncMonoLayer);
+  }
+
+  const viewer = {
+    /**
+     * Fades into a 360° photo.
+     * @param {{ image360: string, stereo?: "top-bottom", title?: string }} photo
+     * @param {{ hide?: Entity[] }} options - entities (e.g. the photo panel ring) hidden while
+     *   the photo is shown
+     * @returns {Promise<boolean>} whether the photo was shown
+     */
+    async open(photo, { hide = [] } = {}) {
+      if (busy || sphere || disposed) return false;
+      if (!photo?.image360) {
+        logger.warn("[PanoramaViewer] Photo has no image360");
+        return false;
+      }
+
+      busy = true;
+      blockInput(INPUT_LOCK_REASON);
+      playUISound("open");
+      const stereo = photo.stereo === "top-bottom";
+      if (photo.stereo && !stereo) {
+        logger.warn(`[PanoramaViewer] Unsupported stereo layout "${photo.stereo}", showing mono`);
+      }
+
+      try {
+        const loading = new THREE.TextureLoader().loadAsync(photo.image360);
+        await transitions.cover(transition);
+
+        let texture;
+        try {
+          texture = await loading;
+        } catch (error) {
+          logger.error(`[PanoramaViewer] Failed to load ${photo.image360}:`, error);
+          if (!disposed) await transitions.reveal(transition);
+          return false;
+        }
+        if (disposed) {
+          texture.dispose();
+          return false;
+        }
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        hidden = hide
+          .filter((entity) => entity.object3D)
+          .map(({ object3D }) => ({ object3D, visible: object3D.visible }));
+        hidden.forEach(({ object3D }) => {
+          object3D.visible = false;
+        });
+
+        // Center the sphere on the viewer, with the middle of the photo where they were looking
+        const origin = world.camera.getWorldPosition(new THREE.Vector3());
+        const forward = world.camera.getWorldDirection(new THREE.Vector3()).setY(0);
+        if (forward.lengthSq() === 0) forward.set(0, 0, -1);
+        forward.normalize();
+
+        sphere = createPhotoSphere(texture, stereo);
+        sphere.position.copy(origin);
+        sphere.rotation.y = Math.atan2(-forward.x, -forward.z) + IMAGE_CENTER_YAW;
+        world.scene.add(sphere);
+        controls = createControls(photo.title || "", origin, forward);
+
+        syncMonoLayer();
+        window.addEventListener("keydown", onKeyDown);
+        world.renderer.xr.addEventListener("sessionstart", syncMonoLayer);
+        world.renderer.xr.addEventListener("sessionend", syncMonoLayer);
+
+        await transitions.reveal(transition);
+        logger.info(`[PanoramaViewer] Showing ${photo.image360}${stereo ? " (stereo)" : ""}`);
+        return true;
+      } finally {
+        busy = false;
+        releaseInput(INPUT_LOCK_REASON);
+      }
+    },
+
+    /**
+     * Fades out of the photo and back into the room.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (busy || !sphere) return;
+
+      busy = true;
+      blockInput(INPUT_LOCK_REASON);
+      playUISound("close");
+      try {
+        await transitions.cover(transition);
+        teardown();
+        if (!disposed) await transitions.reveal(transition);
+        logger.info("[PanoramaViewer] Closed");
+      } finally {
+        busy = false;
+        releaseInput(INPUT_LOCK_REASON);
+      }
+    },
+
+    /**
+     * Closes immediately, e.g. when the scene that owns the viewer is disposed.
+     */
+    dispose() {
+      disposed = true;
+      teardown();
+      transitions.dispose();
+    },
+
+    isOpen: () => sphere !== null
+  };
+
+  return viewer;
+}
@@ -0,0 +1,215 @@
+import { AudioSource, AudioUtils, Interactable, PanelUI } from "@iwsdk/core";
+import * as THREE from "three";
+import { ROBOT_GUIDE } from "../constants/sceneConstants.js";
+import { AudioChannel, Channel, getAudioMixSystem } from "../systems/AudioMixSystem.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { getRobotSystem, Robot } from "../systems/RobotSystem.js";
+import { logger } from "../utils/logger.js";
+import { loadFittedModel } from "../utils/models.js";
+import { getSetting, onSettingChange } from "../utils/settings.js";
+
+/**
+ * Creates the arrow that points at the next stop, with its tip along +Z.
+ * @returns {THREE.Mesh}
+ */
+function createPointerMesh() {
+  const { LENGTH, RADIUS, COLOR, OFFSET } = ROBOT_GUIDE.POINTER;
+  const geometry = new THREE.ConeGeometry(RADIUS, LENGTH, 16).rotateX(Math.PI / 2);
+  const pointer = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: COLOR }));
+  pointer.position.set(OFFSET.x, OFFSET.y, OFFSET.z);
+  return pointer;
+}
+
+/**
+ * Removes an entity's object from the scene and destroys it; meshes in `owned` have their
+ * geometry and materials disposed (the robot model itself is shared with the asset cache).
+ */
+function destroyEntity(entity, owned) {
+  entity.object3D?.parent?.remove(entity.object3D);
+  owned.forEach((object) =>
+    object.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry?.dispose();
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => material?.dispose());
+      }
+    })
+  );
+  try {
+    entity.destroy();
+  } catch (e) {
+    logger.debug(`[RobotGuide] Could not destroy guide entity: ${e.message}`);
+  }
+}
+
+/**
+ * Creates the robot guide: a small robot floating in each room that faces the visitor,
+ * points at the room's recommended next stop and, when pressed, says a few words about the
+ * room (its narration clip, with the text in a speech bubble). The `robotGuide` setting
+ * shows or hides it.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @returns {{ show: Function, speak: Function, dispose: Function, entities: Entity[] }}
+ */
+export function createRobotGuide(world) {
+  let room = null;
+  let robotEntity = null;
+  let pointer = null;
+  let bubbleEntity = null;
+  let bubbleTimer = null;
+  let disposed = false;
+
+  const unsubscribe = onSettingChange(({ key, value }) => {
+    if (key !== "robotGuide") return;
+    if (value) {
+      build();
+    } else {
+      remove();
+    }
+  });
+
+  function fillTemplate(template, title) {
+    return template.replace("{room}", title || "");
+  }
+
+  function build() {
+    if (disposed || !room || robotEntity || !getSetting("robotGuide")) return;
+
+    const { guide, target } = room;
+    const { x, y, z } = guide.position || ROBOT_GUIDE.POSITION;
+    const entity = world.createTransformEntity(new THREE.Group());
+    entity.object3D.position.set(x, y, z);
+
+    pointer = createPointerMesh();
+    pointer.visible = Boolean(target);
+    entity.object3D.add(pointer);
+
+    const pointAt = target ? target.object3D.getWorldPosition(new THREE.Vector3()) : null;
+    entity.addComponent(Interactable).addComponent(Robot, {
+      pointer,
+      pointing: Boolean(pointAt),
+      pointAt: pointAt ? pointAt.toArray() : [0, 0, 0]
+    });
+    if (guide.narration) {
+      getAudioMixSystem(world);
+      entity
+        .addComponent(AudioSource, { src: guide.narration, positional: true })
+        .addComponent(AudioChannel, {
+          channel: Channel.Effects,
+          volume: ROBOT_GUIDE.NARRATION_VOLUME
+        });
+    }
+    getRobotSystem(world).setPressHandler(entity, () => guideApi.speak());
+    robotEntity = entity;
+
+    loadFittedModel(ROBOT_GUIDE.MODEL, ROBOT_GUIDE.SIZE)
+      .then(({ model }) => {
+        if (robotEntity !== entity) return;
+        entity.object3D.add(model);
+      })
+      .catch((error) => logger.error(`[RobotGuide] Failed to load ${ROBOT_GUIDE.MODEL}:`, error));
+
+    logger.debug(`[RobotGuide] Guide shown${target ? `, pointing at "${target.label}"` : ""}`);
+  }
+
+  function hideBubble() {
+    clearTimeout(bubbleTimer);
+    bubbleTimer = null;
+    if (bubbleEntity) {
+      destroyEntity(bubbleEntity, [bubbleEntity.object3D]);
+      bubbleEntity = null;
+    }
+  }
+
+  function showBubble(text, nextLabel) {
+    hideBubble();
+
+    const { configPath, maxWidth, maxHeight, OFFSET_Y, DURATION } = ROBOT_GUIDE.BUBBLE;
+    const entity = world
+      .createTransformEntity()
+      .addComponent(PanelUI, { config: configPath, maxWidth, maxHeight });
+    const position = robotEntity.object3D.position;
+    entity.object3D.position.set(position.x, position.y + OFFSET_Y, position.z);
+    const camera = world.camera.getWorldPosition(new THREE.Vector3());
+    entity.object3D.lookAt(camera.x, position.y + OFFSET_Y, camera.z);
+    bubbleEntity = entity;
+
+    whenPanelReady(entity)
+      .then((document) => {
+        document.getElementById?.("guide-bubble-text")?.setProperties?.({ text });
+        document.getElementById?.("guide-bubble-next")?.setProperties?.({
+          text: nextLabel ? fillTemplate(ROBOT_GUIDE.NEXT_LABEL, nextLabel) : "",
+          display: nextLabel ? "flex" : "none"
+        });
+      })
+      .catch((error) => reportPanelNotReady("[RobotGuide]", error));
+
+    bubbleTimer = setTimeout(hideBubble, DURATION);
+  }
+
+  function remove() {
+    hideBubble();
+    if (!robotEntity) return;
+
+    const entity = robotEntity;
+    robotEntity = null;
+    getRobotSystem(world).setPressHandler(entity, null);
+    if (entity.hasComponent(AudioSource)) {
+      AudioUtils.stop(entity);
+    }
+    destroyEntity(entity, [pointer]);
+    pointer = null;
+  }
+
+  const guideApi = {
+    /**
+     * Shows the guide for a room, replacing the previous room's guide.
+     * @param {Object} options
+     * @param {string} options.title - room title, used by the default greeting
+     * @param {{ text?: string, narration?: string, position?: Object }} options.guide - the
+     *   room's `guide` entry in showcaseScenes.json
+     * @param {{ label: string, object3D: import("three").Object3D }|null} options.target -
+     *   the recommended next stop's portal
+     */
+    show({ title, guide = {}, target = null }) {
+      remove();
+      room = { title, guide, target };
+      build();
+    },
+
+    /**
+     * Plays the room's narration and shows its text; while the narration plays, stops it.
+     */
+    speak() {
+      if (!robotEntity || !room) return;
+
+      const hasNarration = robotEntity.hasComponent(AudioSource);
+      if (hasNarration && AudioUtils.isPlaying(robotEntity)) {
+        AudioUtils.stop(robotEntity);
+        hideBubble();
+        return;
+      }
+
+      if (hasNarration) {
+        AudioUtils.play(robotEntity);
+      }
+      const text = room.guide.text || fillTemplate(ROBOT_GUIDE.DEFAULT_TEXT, room.title);
+      showBubble(text, room.target?.label);
+      logger.info(`[RobotGuide] Speaking in "${room.title}"`);
+    },
+
+    dispose() {
+      disposed = true;
+      unsubscribe();
+      remove();
+      room = null;
+    },
+
+    /** The guide's current entities, e.g. to hide them with the rest of the room */
+    get entities() {
+      return [robotEntity, bubbleEntity].filter(Boolean);
+    }
+  };
+
+  return guideApi;
+}
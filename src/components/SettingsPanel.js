@@ -0,0 +1,170 @@
+import { PanelUI } from "@iwsdk/core";
+import { SETTINGS } from "../constants/sceneConstants.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { isInputBlocked } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+import { getSetting, onSettingChange, setSetting } from "../utils/settings.js";
+import { addButtonSounds, playUISound } from "../utils/sounds.js";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Creates the settings panel. Every on/off setting in SETTINGS.DEFAULTS is switched by the
+ * element `setting-<key>` of ui/settingsPanel.uikitml, labelled by `setting-<key>-text`;
+ * every volume (a number from 0 to 1) is stepped by `setting-<key>-down` and
+ * `setting-<key>-up` and shown as a percentage in `setting-<key>-text`.
+ * Closed with its X button or Escape.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @returns {{ open: Function, close: Function, toggle: Function, isOpen: () => boolean }}
+ */
+export function createSettingsPanel(world) {
+  let entity = null;
+  let document = null;
+  let unsubscribe = null;
+
+  const toggleKeys = Object.keys(SETTINGS.DEFAULTS).filter(
+    (key) => typeof SETTINGS.DEFAULTS[key] === "boolean"
+  );
+  const volumeKeys = Object.keys(SETTINGS.DEFAULTS).filter(
+    (key) => typeof SETTINGS.DEFAULTS[key] === "number"
+  );
+
+  const onKeyDown = (event) => {
+    if (event.key === "Escape" && !isInputBlocked()) {
+      settingsPanel.close();
+    }
+  };
+
+  function renderToggle(key) {
+    const on = getSetting(key);
+    document?.getElementById?.(`setting-${key}`)?.setProperties?.({
+      backgroundColor: on ? SETTINGS.TOGGLE_ON_COLOR : SETTINGS.TOGGLE_OFF_COLOR
+    });
+    document?.getElementById?.(`setting-${key}-text`)?.setProperties?.({ text: on ? "On" : "Off" });
+  }
+
+  function renderVolume(key) {
+    document?.getElementById?.(`setting-${key}-text`)?.setProperties?.({
+      text: `${Math.round(getSetting(key) * 100)}%`
+    });
+  }
+
+  function bindClick(element, action) {
+    addButtonSounds(element);
+    element.addEventListener("click", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      action();
+    });
+  }
+
+  function stepVolume(key, direction) {
+    // Rounded so repeated steps land on whole percentages
+    const value = clamp(getSetting(key) + direction * SETTINGS.VOLUME_STEP, 0, 1);
+    setSetting(key, Math.round(value * 100) / 100);
+  }
+
+  function bindControls() {
+    const closeButton = document.getElementById?.("settings-close");
+    if (closeButton) {
+      bindClick(closeButton, () => settingsPanel.close());
+    }
+
+    toggleKeys.forEach((key) => {
+      const toggle = document.getElementById?.(`setting-${key}`);
+      if (!toggle) {
+        logger.debug(`[SettingsPanel] No control for setting "${key}"`);
+        return;
+      }
+      bindClick(toggle, () => setSetting(key, !getSetting(key)));
+      renderToggle(key);
+    });
+
+    volumeKeys.forEach((key) => {
+      const down = document.getElementById?.(`setting-${key}-down`);
+      const up = document.getElementById?.(`setting-${key}-up`);
+      if (!down || !up) {
+        logger.debug(`[SettingsPanel] No control for setting "${key}"`);
+        return;
+      }
+      bindClick(down, () => stepVolume(key, -1));
+      bindClick(up, () => stepVolume(key, 1));
+      renderVolume(key);
+    });
+  }
+
+  const settingsPanel = {
+    open() {
+      if (entity) return;
+
+      const panelEntity = world.createTransformEntity().addComponent(PanelUI, {
+        config: SETTINGS.PANEL.configPath,
+        maxWidth: SETTINGS.PANEL.maxWidth,
+        maxHeight: SETTINGS.PANEL.maxHeight
+      });
+      const { x, y, z } = SETTINGS.PANEL.POSITION;
+      panelEntity.object3D.position.set(x, y, z);
+      panelEntity.object3D.lookAt(0, y, 0);
+      entity = panelEntity;
+      window.addEventListener("keydown", onKeyDown);
+      playUISound("open");
+
+      // Settings may also change elsewhere (e.g. from code), so the panel follows the store
+      unsubscribe = onSettingChange(({ key }) => {
+        if (toggleKeys.includes(key)) renderToggle(key);
+        if (volumeKeys.includes(key)) renderVolume(key);
+      });
+
+      whenPanelReady(panelEntity)
+        .then((panelDocument) => {
+          // The panel may have been closed while its document was loading
+          if (panelEntity !== entity) return;
+          document = panelDocument;
+          bindControls();
+          logger.info("[SettingsPanel] Opened");
+        })
+        .catch((error) => reportPanelNotReady("[SettingsPanel]", error));
+    },
+
+    close() {
+      if (!entity) return;
+
+      const closing = entity;
+      entity = null;
+      document = null;
+      unsubscribe?.();
+      unsubscribe = null;
+      window.removeEventListener("keydown", onKeyDown);
+      playUISound("close");
+
+      closing.object3D?.parent?.remove(closing.object3D);
+      closing.object3D?.traverse((object) => {
+        if (object.isMesh) {
+          object.geometry?.dispose();
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach((material) => material?.dispose());
+        }
+      });
+      try {
+        closing.destroy();
+      } catch (e) {
+        logger.debug(`[SettingsPanel] Could not destroy settings entity: ${e.message}`);
+      }
+
+      logger.info("[SettingsPanel] Closed");
+    },
+
+    toggle() {
+      if (entity) {
+        settingsPanel.close();
+      } else {
+        settingsPanel.open();
+      }
+    },
+
+    isOpen: () => entity !== null
+  };
+
+  return settingsPanel;
+}
@@ -0,0 +1,111 @@
+import { PanelUI } from "@iwsdk/core";
+import { TEXT_DETAIL } from "../constants/sceneConstants.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { isInputBlocked } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+import { renderRichText } from "../utils/richTextView.js";
+import { addButtonSounds, playUISound } from "../utils/sounds.js";
+
+/**
+ * Creates the detail view panels open from their "Read more" control: the full title and
+ * rich-text description in a scrollable body, closed with its X button or Escape.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @returns {{ open: Function, close: Function, isOpen: () => boolean }}
+ */
+export function createTextDetail(world) {
+  let entity = null;
+  let document = null;
+  let content = { title: "", text: "" };
+
+  const onKeyDown = (event) => {
+    if (event.key === "Escape" && !isInputBlocked()) {
+      textDetail.close();
+    }
+  };
+
+  function render() {
+    if (!document) return;
+    document.getElementById?.("text-detail-title")?.setProperties?.({ text: content.title });
+
+    const body = document.getElementById?.("text-detail-body");
+    if (body) {
+      renderRichText(body, content.text);
+    } else {
+      logger.warn("[TextDetail] Body element not found");
+    }
+  }
+
+  const textDetail = {
+    /**
+     * Shows `text`, replacing whatever the view showed before.
+     * @param {{ title?: string, text: string }} detail
+     */
+    open({ title = "", text }) {
+      content = { title, text };
+      if (entity) {
+        render();
+        return;
+      }
+
+      const panelEntity = world.createTransformEntity().addComponent(PanelUI, {
+        config: TEXT_DETAIL.configPath,
+        maxWidth: TEXT_DETAIL.maxWidth,
+        maxHeight: TEXT_DETAIL.maxHeight
+      });
+      const { x, y, z } = TEXT_DETAIL.POSITION;
+      panelEntity.object3D.position.set(x, y, z);
+      panelEntity.object3D.lookAt(0, y, 0);
+      entity = panelEntity;
+      window.addEventListener("keydown", onKeyDown);
+      playUISound("open");
+
+      whenPanelReady(panelEntity)
+        .then((panelDocument) => {
+          // The view may have been closed while its document was loading
+          if (panelEntity !== entity) return;
+          document = panelDocument;
+          const closeButton = document.getElementById?.("text-detail-close");
+          addButtonSounds(closeButton);
+          closeButton?.addEventListener("click", (event) => {
+            event?.stopPropagation?.();
+            if (isInputBlocked()) return;
+            textDetail.close();
+          });
+          render();
+          logger.info(`[TextDetail] Showing "${content.title}"`);
+        })
+        .catch((error) => reportPanelNotReady("[TextDetail]", error));
+    },
+
+    close() {
+      if (!entity) return;
+
+      const closing = entity;
+      entity = null;
+      document = null;
+      window.removeEventListener("keydown", onKeyDown);
+      playUISound("close");
+
+      closing.object3D?.parent?.remove(closing.object3D);
+      closing.object3D?.traverse((object) => {
+        if (object.isMesh) {
+          object.geometry?.dispose();
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach((material) => material?.dispose());
+        }
+      });
+      try {
+        closing.destroy();
+      } catch (e) {
+        logger.debug(`[TextDetail] Could not destroy detail entity: ${e.message}`);
+      }
+
+      logger.info("[TextDetail] Closed");
+    },
+
+    isOpen: () => entity !== null
+  };
+
+  return textDetail;
+}
@@ -0,0 +1,160 @@
+import { AudioSource, AudioUtils, PanelUI } from "@iwsdk/core";
+import { TOUR } from "../constants/sceneConstants.js";
+import { getShowcaseScene } from "../content/showcaseContent.js";
+import { AudioChannel, Channel, getAudioMixSystem } from "../systems/AudioMixSystem.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { isInputBlocked } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+import { addButtonSounds } from "../utils/sounds.js";
+
+/**
+ * Removes an entity's object from the scene, disposes its meshes and destroys it.
+ */
+function destroyEntity(entity) {
+  entity.object3D?.parent?.remove(entity.object3D);
+  entity.object3D?.traverse((object) => {
+    if (object.isMesh) {
+      object.geometry?.dispose();
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => material?.dispose());
+    }
+  });
+  try {
+    entity.destroy();
+  } catch (e) {
+    logger.debug(`[TourControls] Could not destroy tour entity: ${e.message}`);
+  }
+}
+
+/**
+ * Shows the controls of a playing tour: its title, "2 / 4" and the current stop's narration
+ * text, a bar filling up over the stop's dwell time, and previous, pause/resume, skip and
+ * exit buttons. Plays each stop's narration clip once its room has been entered, pausing it
+ * with the tour. The controls stay in place across rooms and remove themselves when the
+ * tour ends.
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @param {import("../systems/TourPlayer.js").TourPlayer} tour
+ * @returns {{ dispose: Function }}
+ */
+export function createTourControls(world, tour) {
+  let document = null;
+  let narrationEntity = null;
+  let disposed = false;
+
+  const entity = world.createTransformEntity().addComponent(PanelUI, {
+    config: TOUR.CONTROLS.configPath,
+    maxWidth: TOUR.CONTROLS.maxWidth,
+    maxHeight: TOUR.CONTROLS.maxHeight
+  });
+  const { x, y, z } = TOUR.CONTROLS.POSITION;
+  entity.object3D.position.set(x, y, z);
+  const { LOOK_AT } = TOUR.CONTROLS;
+  entity.object3D.lookAt(LOOK_AT.x, LOOK_AT.y, LOOK_AT.z);
+
+  function element(id) {
+    return document?.getElementById?.(id) || null;
+  }
+
+  function renderStop() {
+    const { index, count } = tour.progress;
+    const stop = tour.stop;
+    const room = getShowcaseScene(stop?.room)?.title || stop?.room || "";
+    element("tour-title")?.setProperties?.({ text: `${tour.title}: ${room}` });
+    element("tour-step")?.setProperties?.({ text: `${index + 1} / ${count}` });
+    element("tour-text")?.setProperties?.({
+      text: stop?.text || "",
+      display: stop?.text ? "flex" : "none"
+    });
+    renderProgress();
+  }
+
+  function renderProgress() {
+    const { elapsed, dwell } = tour.progress;
+    const fraction = dwell > 0 ? Math.min(Math.max(elapsed / dwell, 0), 1) : 0;
+    element("tour-progress")?.setProperties?.({ width: `${fraction * 100}%` });
+  }
+
+  function renderToggle() {
+    element("tour-toggle-text")?.setProperties?.({ text: tour.paused ? "▶" : "❚❚" });
+  }
+
+  function bindButton(id, action) {
+    addButtonSounds(element(id));
+    element(id)?.addEventListener?.("click", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      action();
+    });
+  }
+
+  function stopNarration() {
+    if (!narrationEntity) return;
+    AudioUtils.stop(narrationEntity);
+    destroyEntity(narrationEntity);
+    narrationEntity = null;
+  }
+
+  function playNarration(src) {
+    stopNarration();
+    getAudioMixSystem(world);
+    narrationEntity = world
+      .createEntity()
+      .addComponent(AudioSource, { src, positional: false })
+      .addComponent(AudioChannel, { channel: Channel.Effects, volume: TOUR.NARRATION_VOLUME });
+    AudioUtils.play(narrationEntity);
+  }
+
+  const unsubscribers = [
+    tour.on("stop", () => {
+      stopNarration();
+      renderStop();
+    }),
+    tour.on("arrive", ({ stop }) => {
+      if (stop.narration && !tour.paused) playNarration(stop.narration);
+    }),
+    tour.on("pause", () => {
+      if (narrationEntity) AudioUtils.pause(narrationEntity);
+      renderToggle();
+    }),
+    tour.on("resume", () => {
+      if (narrationEntity) {
+        AudioUtils.play(narrationEntity);
+      } else if (tour.arrived && tour.stop?.narration) {
+        playNarration(tour.stop.narration);
+      }
+      renderToggle();
+    }),
+    tour.on("end", () => controls.dispose())
+  ];
+
+  // The bar is redrawn on a timer; the dwell countdown itself is a single timeout
+  const progressTimer = setInterval(renderProgress, TOUR.CONTROLS.PROGRESS_INTERVAL);
+
+  whenPanelReady(entity)
+    .then((panelDocument) => {
+      if (disposed) return;
+      document = panelDocument;
+      bindButton("tour-previous", () => tour.previous());
+      bindButton("tour-toggle", () => tour.togglePause());
+      bindButton("tour-next", () => tour.next());
+      bindButton("tour-exit", () => tour.exit());
+      renderStop();
+      renderToggle();
+    })
+    .catch((error) => reportPanelNotReady("[TourControls]", error));
+
+  const controls = {
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      document = null;
+      clearInterval(progressTimer);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      stopNarration();
+      destroyEntity(entity);
+    }
+  };
+
+  return controls;
+}
@@ -39,6 +39,85 @@ export const PORTAL = {
   }
 };
 
+/**
+ * Scene navigation configuration
+ */
+export const NAVIGATION = {
+  /** Maximum number of visited scenes kept for back/forward navigation */
+  MAX_HISTORY_DEPTH: 20
+};
+
+/**
+ * Scene transition configuration (teleports may override per entry in showcaseScenes.json)
+ */
+export const TRANSITIONS = {
+  /** Transition used when a navigation does not name one */
+  DEFAULT: { type: "fade", duration: 600, color: "#000000" },
+  /** Per-type defaults layered over DEFAULT */
+  PRESETS: {
+    none: { duration: 0 },
+    fade: {},
+    crossfade: { duration: 800 },
+    portal: { duration: 900, color: "#0b1a33" }
+  },
+  /** Radius of the camera-attached overlay sphere (must exceed CAMERA.NEAR) */
+  OVERLAY_RADIUS: 0.3,
+  /** Width of the soft edge of the portal iris, as a fraction of the view */
+  PORTAL_EDGE_SOFTNESS: 0.08
+};
+
+/**
+ * URL routing configuration for scene deep links
+ */
+export const ROUTING = {
+  /** "hash" (`#/gallery`, works on any static host) or "path" (`/gallery`, needs SPA fallback) */
+  MODE: "hash",
+  /** Path prefix the app is served from (path mode only) */
+  BASE_PATH: "/"
+};
+
+/**
+ * Runtime content loading (content/contentProvider.js). With a BASE_URL, every file in FILES
+ * is fetched from `${BASE_URL}/${file}.json` at startup, validated against its schema and
+ * cached in IndexedDB; the bundled copy is used until then, and whenever both are missing.
+ */
+export const REMOTE_CONTENT = {
+  /** Content host, e.g. a CDN folder or a local file server in dev (`VITE_CONTENT_URL`) */
+  BASE_URL: import.meta.env?.VITE_CONTENT_URL || "",
+  /**
+   * Content files served by the host (any of showcaseScenes, portfolio, projects, photos, art,
+   * tours)
+   */
+  FILES: ["showcaseScenes"],
+  /** Requests slower than this (ms) are abandoned in favour of the cached or bundled copy */
+  FETCH_TIMEOUT_MS: 8000,
+  CACHE: {
+    DB_NAME: "spatial-showcase-content",
+    STORE_NAME: "files",
+    /** Cached files saved under another version are ignored; bump when the format changes */
+    VERSION: 1
+  }
+};
+
+/**
+ * Idle-time prefetching of the rooms reachable from the active room
+ */
+export const PREFETCH = {
+  ENABLED: true,
+  /** Teleport targets whose scene module is warmed per room */
+  MAX_SCENES: 6,
+  /** Panel and thumbnail images warmed per room */
+  MAX_IMAGES: 12,
+  /** Exhibit models (GLTF) warmed per room */
+  MAX_MODELS: 2,
+  /** Longest wait (ms) for idle time before a task is run anyway */
+  IDLE_TIMEOUT_MS: 2000,
+  /** Idle time (ms) a frame must have left to start another task */
+  MIN_IDLE_MS: 8,
+  /** Tasks started within one idle period */
+  MAX_CONCURRENT: 2
+};
+
 /**
  * Main hall portal positions
  */
@@ -54,48 +133,324 @@ export const MAIN_HALL_PORTALS = {
 };
 
 /**
- * Gallery layout configuration
+ * Image lightbox (components/Lightbox.js)
+ */
+export const LIGHTBOX = {
+  configPath: "/ui/lightbox.json",
+  maxWidth: 2.0,
+  maxHeight: 2.2,
+  POSITION: { x: 0, y: 1.5, z: -1.8 },
+  /** Size of the image viewport in lightbox.uikitml units, used to limit panning */
+  VIEWPORT: { width: 19, height: 11 },
+  MIN_ZOOM: 1,
+  MAX_ZOOM: 4,
+  /** Zoom factor change per second at full thumbstick deflection */
+  ZOOM_SPEED: 1.5,
+  /** Viewport widths panned per second at full thumbstick deflection */
+  PAN_SPEED: 0.6,
+  /** Thumbstick deflection ignored as noise */
+  DEADZONE: 0.15
+};
+
+/**
+ * Rich-text descriptions (utils/richTextView.js). Spacings are multiples of the element's
+ * font size.
+ */
+export const RICH_TEXT = {
+  /** Font size used for spacing when the element does not resolve one */
+  DEFAULT_FONT_SIZE: 1.8,
+  HEADING_SCALE: { 1: 1.4, 2: 1.2, 3: 1.05 },
+  BLOCK_SPACING: 0.6,
+  LIST_ITEM_SPACING: 0.3,
+  WORD_SPACING: 0.28,
+  /** Width of the bullet / number column of list items */
+  LIST_MARKER_WIDTH: 1.4,
+  /** Links use the profile theme's accent, or this color */
+  LINK_COLOR: "#4a9eff",
+  /** The panel font has no italic face; italics use its light weight in this color */
+  ITALIC_COLOR: "#ffffff",
+  ELLIPSIS: "…"
+};
+
+/**
+ * Expanded, scrollable view of a full description (components/TextDetail.js)
+ */
+export const TEXT_DETAIL = {
+  configPath: "/ui/textDetail.json",
+  maxWidth: 1.6,
+  maxHeight: 1.9,
+  POSITION: { x: 0, y: 1.5, z: -1.6 }
+};
+
+/**
+ * Slideshow panels (utils/slideshow.js)
+ */
+export const SLIDESHOW = {
+  /** Milliseconds a slide is shown when it declares no `duration` */
+  DEFAULT_DURATION: 4000,
+  /** Crossfade between slides in milliseconds */
+  CROSSFADE_DURATION: 600,
+  /** The viewer is "looking at" a slideshow within this angle (degrees) of its center ... */
+  GAZE_ANGLE_DEG: 15,
+  /** ... and this distance (meters) */
+  GAZE_MAX_DISTANCE: 6
+};
+
+/**
+ * Video panels (utils/videoPanel.js)
+ */
+export const VIDEO = {
+  /** Background of the loop button while looping is on / off */
+  TOGGLE_ON_COLOR: "#4a9eff",
+  TOGGLE_OFF_COLOR: "#333333"
+};
+
+/**
+ * 3D model exhibits (components/ModelExhibit.js): a GLTF on a pedestal with an info panel.
+ * Offsets are in the exhibit's frame, with +z towards the viewer and y up from the floor.
+ */
+export const MODEL_EXHIBIT = {
+  /** Largest dimension (meters) a model is scaled to when it declares no `size` */
+  DEFAULT_SIZE: 0.5,
+  /** Degrees per second when `turntable` is `true` */
+  TURNTABLE_SPEED: 20,
+  PEDESTAL: {
+    HEIGHT: 1.0,
+    RADIUS: 0.3,
+    COLOR: "#2a2a2a",
+    SEGMENTS: 48
+  },
+  INFO_PANEL: {
+    configPath: "/ui/modelInfoPanel.json",
+    maxWidth: 0.8,
+    maxHeight: 0.9,
+    OFFSET: { x: 0.75, y: 1.25, z: 0 }
+  }
+};
+
+/**
+ * Robot guide (components/RobotGuide.js); rooms may override its `position` and say their
+ * own `text` in their `guide` entry
+ */
+export const ROBOT_GUIDE = {
+  MODEL: "/gltf/robot/robot.gltf",
+  /** Largest dimension of the robot in meters */
+  SIZE: 0.45,
+  /** Center of the robot in rooms that do not place it */
+  POSITION: { x: -1.4, y: 1.1, z: -1.8 },
+  NARRATION_VOLUME: 1,
+  /** Greeting in rooms without guide text; `{room}` is replaced with the room title */
+  DEFAULT_TEXT: "Welcome to {room}! Press me any time to hear about this room.",
+  /** Shown under the text; `{room}` is replaced with the next stop's label */
+  NEXT_LABEL: "Next stop: {room}",
+  /** Arrow below the robot that points at the next stop */
+  POINTER: {
+    LENGTH: 0.16,
+    RADIUS: 0.04,
+    COLOR: "#4a9eff",
+    OFFSET: { x: 0, y: -0.32, z: 0 }
+  },
+  /** Speech bubble shown above the robot for DURATION milliseconds */
+  BUBBLE: {
+    configPath: "/ui/guideBubble.json",
+    maxWidth: 0.9,
+    maxHeight: 0.5,
+    OFFSET_Y: 0.5,
+    DURATION: 10000
+  }
+};
+
+/**
+ * Sound: room ambient tracks (components/AmbientAudio.js), positional panel audio and the
+ * standard UI sounds (utils/sounds.js). Volumes here are multiplied by the channel volumes.
+ */
+export const AUDIO = {
+  AMBIENT: {
+    /** Volume of `ambient` tracks that do not set one */
+    VOLUME: 0.5,
+    /** Old and new room tracks overlap for this long, in milliseconds */
+    CROSSFADE_DURATION: 1500
+  },
+  /** Distance in meters within which panel audio plays at full volume */
+  PANEL_REF_DISTANCE: 1.5,
+  /** All UI sounds use the bundled chime until dedicated clips are added */
+  UI_SOUNDS: {
+    hover: { src: "/audio/chime.mp3", volume: 0.1 },
+    click: { src: "/audio/chime.mp3", volume: 0.35 },
+    open: { src: "/audio/chime.mp3", volume: 0.6 },
+    close: { src: "/audio/chime.mp3", volume: 0.25 }
+  },
+  /** How many copies of one UI sound may play at once */
+  UI_SOUND_INSTANCES: 4
+};
+
+/**
+ * Guided tours from tours.json (systems/TourPlayer.js) with their on-screen controls
+ * (components/TourControls.js), and the buttons that start them in rooms listing `tours`
+ */
+export const TOUR = {
+  /** Time spent at a stop without a `dwell`, in milliseconds */
+  DEFAULT_DWELL: 20000,
+  NARRATION_VOLUME: 1,
+  /** Border drawn around the panels a stop highlights */
+  HIGHLIGHT: {
+    BORDER_WIDTH: 0.4,
+    BORDER_COLOR: "#ffcc33"
+  },
+  CONTROLS: {
+    configPath: "/ui/tourControls.json",
+    maxWidth: 1.1,
+    maxHeight: 0.5,
+    /** Low in front of the spawn point, tilted up toward the visitor's eyes */
+    POSITION: { x: 0, y: 0.95, z: -1.2 },
+    LOOK_AT: { x: 0, y: 1.6, z: 0 },
+    /** How often the progress bar is redrawn, in milliseconds */
+    PROGRESS_INTERVAL: 250
+  },
+  /** One button per tour, stacked upward from POSITION */
+  BUTTON: {
+    maxWidth: 0.6,
+    maxHeight: 0.25,
+    POSITION: { x: 1.4, y: 1.1, z: -2.2 },
+    SPACING: 0.3
+  }
+};
+
+/**
+ * Visitor settings (utils/settings.js), saved in localStorage, and the settings panel
+ * (components/SettingsPanel.js) opened from a button in every room
+ */
+export const SETTINGS = {
+  STORAGE_KEY: "spatial-showcase-settings",
+  DEFAULTS: {
+    /** Show the robot guide in every room */
+    robotGuide: true,
+    /** Volumes from 0 to 1 (see systems/AudioMixSystem.js); master scales music and effects */
+    masterVolume: 1,
+    musicVolume: 0.6,
+    effectsVolume: 0.8
+  },
+  /** Background of on / off toggles */
+  TOGGLE_ON_COLOR: "#4a9eff",
+  TOGGLE_OFF_COLOR: "#333333",
+  /** Change per press of a volume's - / + buttons */
+  VOLUME_STEP: 0.1,
+  BUTTON: {
+    label: "Settings",
+    maxWidth: 0.6,
+    maxHeight: 0.25,
+    POSITION: { x: 1.4, y: 0.8, z: -2.2 }
+  },
+  PANEL: {
+    configPath: "/ui/settingsPanel.json",
+    maxWidth: 1.0,
+    maxHeight: 1.1,
+    POSITION: { x: 0, y: 1.45, z: -1.5 }
+  }
+};
+
+/**
+ * 360° photo viewer (components/PanoramaViewer.js)
+ */
+export const PANORAMA = {
+  /** Radius of the inward-facing photo sphere (must stay inside CAMERA.FAR) */
+  RADIUS: 50,
+  WIDTH_SEGMENTS: 64,
+  HEIGHT_SEGMENTS: 32,
+  /** Fade used when entering and leaving the viewer */
+  TRANSITION: { type: "fade", duration: 700 },
+  /** Camera layers that only the left / right eye renders in stereo photos */
+  LEFT_EYE_LAYER: 1,
+  RIGHT_EYE_LAYER: 2,
+  CONTROLS: {
+    configPath: "/ui/panoramaControls.json",
+    maxWidth: 0.9,
+    maxHeight: 0.35,
+    /** Meters in front of the viewer, measured horizontally */
+    DISTANCE: 1.4,
+    /** Meters below eye level */
+    DROP: 0.55
+  }
+};
+
+/**
+ * Carousel paging controls (components/Carousel.js)
+ */
+export const CAROUSEL = {
+  CONTROLS: {
+    configPath: "/ui/carouselControls.json",
+    maxWidth: 1.2,
+    maxHeight: 0.3
+  },
+  /** Above this many pages the indicator shows "3 / 12" instead of dots */
+  MAX_INDICATOR_DOTS: 8
+};
+
+/**
+ * Defaults for the declarative layouts in utils/layout.js
+ */
+export const LAYOUT = {
+  DEFAULTS: {
+    type: "row",
+    /** Distance between neighbouring items (arc length for arcs) */
+    spacing: 2.2,
+    /** Height of the layout center */
+    height: 1.6,
+    /** Center of row, vertical-stack and grid layouts */
+    x: 0,
+    z: -3.0,
+    /** Radius and center of arc and circle layouts */
+    radius: 3.0,
+    center: { x: 0, z: 0 },
+    /** Items per row in grid layouts */
+    columns: 3,
+    /** "viewer", "center", "outward", "forward" or a { x, y, z } point */
+    facing: "viewer"
+  }
+};
+
+/**
+ * Data-driven room defaults (overridable per room in showcaseScenes.json)
  */
-export const GALLERY = {
-  /** Art gallery configuration */
-  ART: {
-    radius: 3,
-    spacing: 1.5,
-    panel: {
-      maxWidth: 1.5,
-      maxHeight: 2.0
-    }
+export const ROOM = {
+  /** Panel template used when a room does not declare one */
+  DEFAULT_PANEL_TEMPLATE: "project",
+  /** Default arrangement for content panels (any LAYOUT option) */
+  PANEL_LAYOUT: {
+    type: "row",
+    spacing: 2.2,
+    height: 1.6,
+    z: -3.0
   },
-  /** Photo gallery configuration */
-  PHOTO: {
-    radius: 3,
-    spacing: 1.5,
-    panel: {
-      maxWidth: 1.5,
-      maxHeight: 2.0
-    }
+  /**
+   * Paging for rooms with more panels than fit at once. `pageSize: null` shows every panel;
+   * `autoAdvance` is milliseconds between automatic page turns (0 = off). Controls sit
+   * `controlsGap` above the top edge of the panels.
+   */
+  PAGINATION: {
+    pageSize: null,
+    autoAdvance: 0,
+    loop: true,
+    controlsGap: 0.15
   },
-  /** Projects gallery configuration */
-  PROJECTS: {
-    radius: 3.5,
-    spacing: 1.8,
-    panel: {
-      maxWidth: 1.8,
-      maxHeight: 2.2
-    }
+  /** Default arrangement and size for navigation buttons; `layout` names the layout type */
+  NAVIGATION: {
+    layout: "vertical-stack",
+    spacing: 0.6,
+    x: 0,
+    height: 0.9,
+    z: -2.5,
+    maxWidth: 1.0,
+    maxHeight: 0.4
   }
 };
 
 /**
- * Content panel configuration (About, Contact, etc.)
+ * PanelUI document loading
  */
-export const CONTENT_PANEL = {
-  maxWidth: 2.5,
-  maxHeight: 3.0,
-  /** Y position for content panels */
-  Y_POSITION: 1.6,
-  /** Z position for content panels (in front of camera) */
-  Z_POSITION: -2
+export const PANEL_UI = {
+  /** How long (ms) whenPanelReady waits for a panel document before rejecting */
+  READY_TIMEOUT_MS: 10000
 };
 
 /**
@@ -114,5 +469,6 @@ export const LIGHTING = {
  * UI text constants
  */
 export const UI_TEXT = {
-  BACK_BUTTON_LABEL: "← Back to Main Hall"
+  /** Back button label; `{room}` is replaced with the destination room title */
+  BACK_BUTTON_LABEL: "← Back to {room}"
 };
@@ -0,0 +1,10 @@
+/**
+ * Names shared by the app and scripts/validateContent.js, which loads this module in Node, so
+ * it must not import anything.
+ */
+
+/** Content files in src/content, by name; each is checked against schemas/<name>.schema.json */
+export const CONTENT_FILES = ["showcaseScenes", "portfolio", "projects", "photos", "art", "tours"];
+
+/** Room every showcaseScenes document must define (SceneRouter's fallback) */
+export const START_ROOM = "main_hall";
@@ -0,0 +1,163 @@
+import Ajv from "ajv";
+import { REMOTE_CONTENT } from "../constants/sceneConstants.js";
+import { readCachedContent, writeCachedContent } from "../utils/contentCache.js";
+import { logger } from "../utils/logger.js";
+import { CONTENT_FILES, START_ROOM } from "./contentFiles.js";
+import { CONTENT_SCHEMAS } from "./contentSchemas.js";
+import { getActiveProfile, updateContent } from "./showcaseContent.js";
+
+/**
+ * Loads content files from REMOTE_CONTENT.BASE_URL at runtime so copy changes do not need a
+ * rebuild. Fetched files are validated against their schemas and cached in IndexedDB with
+ * their ETag; the bundled copy stays in use until a valid file arrives, and remains the
+ * fallback when the host is unreachable and nothing is cached.
+ *
+ * Applied content goes through updateContent(), so the current room re-renders with it.
+ * Profiles (see profileLoader.js) are cached separately, and a `{profile}` in the base URL
+ * is replaced with the active profile's id.
+ */
+
+/** ETag of the copy in use per file, sent as If-None-Match so unchanged files cost a 304 */
+const etags = new Map();
+
+let ajv = null;
+const validators = new Map();
+let pendingRefresh = null;
+
+/**
+ * @returns {boolean} whether a content host is configured
+ */
+export function isRemoteContentEnabled() {
+  return Boolean(REMOTE_CONTENT.BASE_URL);
+}
+
+/** `{profile}` in the base URL and cache keys stands for the active profile */
+function profileId() {
+  return getActiveProfile()?.id || "default";
+}
+
+const cacheKey = (file) => `${profileId()}/${file}`;
+
+function remoteFiles() {
+  return REMOTE_CONTENT.FILES.filter((file) => {
+    if (CONTENT_FILES.includes(file)) return true;
+    logger.warn(`[ContentProvider] Unknown content file "${file}" in REMOTE_CONTENT.FILES`);
+    return false;
+  });
+}
+
+/**
+ * Checks a content file against its schema.
+ * @param {string} file - content file name (e.g. "showcaseScenes")
+ * @param {unknown} data
+ * @returns {string[]} problems, empty when the content is usable
+ */
+export function validateContentFile(file, data) {
+  if (!validators.has(file)) {
+    ajv = ajv || new Ajv({ allErrors: true, strict: false });
+    validators.set(file, ajv.compile(CONTENT_SCHEMAS[file]));
+  }
+
+  const validate = validators.get(file);
+  const problems = validate(data)
+    ? []
+    : validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`);
+
+  if (file === "showcaseScenes" && problems.length === 0 && !(START_ROOM in data)) {
+    problems.push(`missing start room "${START_ROOM}"`);
+  }
+  return problems;
+}
+
+function isUsable(file, data, source) {
+  const problems = validateContentFile(file, data);
+  if (problems.length > 0) {
+    logger.warn(`[ContentProvider] Ignoring invalid ${file} from ${source}:`, problems);
+  }
+  return problems.length === 0;
+}
+
+/**
+ * Applies the cached copies of the remote files. Call before the first room renders so
+ * returning visitors see the latest content they fetched, even offline.
+ * @returns {Promise<string[]>} files replaced by their cached copy
+ */
+export async function loadCachedContent() {
+  if (!isRemoteContentEnabled()) return [];
+
+  const updates = {};
+  await Promise.all(
+    remoteFiles().map(async (file) => {
+      const record = await readCachedContent(cacheKey(file));
+      if (record && isUsable(file, record.data, "cache")) {
+        updates[file] = record.data;
+        etags.set(file, record.etag);
+      }
+    })
+  );
+
+  updateContent(updates);
+  return Object.keys(updates);
+}
+
+async function fetchContentFile(file) {
+  const baseUrl = REMOTE_CONTENT.BASE_URL.replace("{profile}", profileId()).replace(/\/$/, "");
+  const url = `${baseUrl}/${file}.json`;
+  const headers = etags.get(file) ? { "If-None-Match": etags.get(file) } : {};
+  const controller = new window.AbortController();
+  const timeout = setTimeout(() => controller.abort(), REMOTE_CONTENT.FETCH_TIMEOUT_MS);
+
+  try {
+    // no-store keeps the browser cache out of the way; IndexedDB is the cache
+    const response = await window.fetch(url, {
+      headers,
+      cache: "no-store",
+      signal: controller.signal
+    });
+    if (response.status === 304) return null;
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return { etag: response.headers.get("ETag"), data: await response.json() };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function refreshFile(file, updates) {
+  let result;
+  try {
+    result = await fetchContentFile(file);
+  } catch (error) {
+    logger.warn(`[ContentProvider] Could not fetch ${file}, keeping the current copy`, error);
+    return;
+  }
+  if (!result || !isUsable(file, result.data, REMOTE_CONTENT.BASE_URL)) return;
+
+  etags.set(file, result.etag);
+  updates[file] = result.data;
+  await writeCachedContent(cacheKey(file), result);
+}
+
+/**
+ * Fetches the remote files and applies every one that changed and is valid; the current
+ * room re-renders when anything was replaced. Calls made while a refresh is running share it.
+ * Never rejects: unreachable hosts and invalid files keep the copy in use.
+ * @returns {Promise<string[]>} files that were replaced
+ */
+export function refreshContent() {
+  if (!isRemoteContentEnabled()) return Promise.resolve([]);
+
+  if (!pendingRefresh) {
+    const updates = {};
+    pendingRefresh = Promise.all(remoteFiles().map((file) => refreshFile(file, updates)))
+      .then(() => {
+        updateContent(updates);
+        return Object.keys(updates);
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+}
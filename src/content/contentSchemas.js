@@ -0,0 +1,19 @@
+import showcaseScenesSchema from "./schemas/showcaseScenes.schema.json" with { type: "json" };
+import portfolioSchema from "./schemas/portfolio.schema.json" with { type: "json" };
+import projectsSchema from "./schemas/projects.schema.json" with { type: "json" };
+import photosSchema from "./schemas/photos.schema.json" with { type: "json" };
+import artSchema from "./schemas/art.schema.json" with { type: "json" };
+import toursSchema from "./schemas/tours.schema.json" with { type: "json" };
+
+/**
+ * JSON Schemas of the content files, keyed by file name. The same schemas are used by
+ * scripts/validateContent.js at build time.
+ */
+export const CONTENT_SCHEMAS = {
+  showcaseScenes: showcaseScenesSchema,
+  portfolio: portfolioSchema,
+  projects: projectsSchema,
+  photos: photosSchema,
+  art: artSchema,
+  tours: toursSchema
+};
@@ -0,0 +1,106 @@
+import { DomeGradient } from "@iwsdk/core";
+import * as THREE from "three";
+import { ROUTING } from "../constants/sceneConstants.js";
+import { logger } from "../utils/logger.js";
+import { getProfiles, setActiveProfile } from "./showcaseContent.js";
+
+/**
+ * Content files a profile replaces, from `src/content/profiles/<id>/<file>.json`. Only the
+ * selected profile's files are downloaded.
+ */
+const PROFILE_FILES = import.meta.glob("./profiles/*/*.json", { import: "default" });
+
+const PROFILE_FILE_PATTERN = /^\.\/profiles\/([^/]+)\/([^/]+)\.json$/;
+
+const DOME_COLORS = ["sky", "equator", "ground"];
+
+/**
+ * Finds the profile requested by the URL: `?profile=<id>`, or a first path segment (after
+ * ROUTING.BASE_PATH) naming a profile, e.g. `/studio/#/gallery`.
+ * @param {{ search: string, pathname: string }} location
+ * @returns {{ id: string, source: "query"|"path" }|null}
+ */
+export function resolveProfileFromUrl({ search, pathname } = window.location) {
+  const { profiles } = getProfiles();
+
+  const queryId = new window.URLSearchParams(search).get("profile");
+  if (queryId) {
+    if (queryId in profiles) return { id: queryId, source: "query" };
+    logger.warn(`[ProfileLoader] Unknown profile "${queryId}", using the default profile`);
+    return null;
+  }
+
+  const route = pathname.startsWith(ROUTING.BASE_PATH)
+    ? pathname.slice(ROUTING.BASE_PATH.length)
+    : pathname;
+  const [segment] = route.replace(/^\/+/, "").split("/");
+  if (segment && segment in profiles) return { id: segment, source: "path" };
+
+  return null;
+}
+
+async function loadProfileFiles(profileId) {
+  const entries = Object.entries(PROFILE_FILES)
+    .map(([path, load]) => [path.match(PROFILE_FILE_PATTERN), load])
+    .filter(([match]) => match?.[1] === profileId);
+
+  const files = await Promise.all(entries.map(async ([match, load]) => [match[2], await load()]));
+  return Object.fromEntries(files);
+}
+
+/**
+ * Selects the profile named in the URL (or profiles.json's `defaultProfile`), swaps in its
+ * content files, room set and welcome text, and titles the page after it. Call before the
+ * first room renders.
+ *
+ * @returns {Promise<Object>} the profile entry with its `id` and the `basePath` scene routes
+ *   live under (ROUTING.BASE_PATH, plus the profile segment when the path selected it)
+ */
+export async function loadProfile() {
+  const { defaultProfile, profiles } = getProfiles();
+  const requested = resolveProfileFromUrl();
+  const id = requested?.id || defaultProfile;
+
+  const basePath =
+    requested?.source === "path"
+      ? `${ROUTING.BASE_PATH.replace(/\/?$/, "/")}${id}/`
+      : ROUTING.BASE_PATH;
+  const profile = { ...profiles[id], id, basePath };
+
+  let files = {};
+  try {
+    files = await loadProfileFiles(id);
+  } catch (error) {
+    logger.error(`[ProfileLoader] Failed to load content of profile "${id}"`, error);
+  }
+  setActiveProfile(profile, files);
+
+  if (profile.title) {
+    document.title = profile.title;
+  }
+  logger.info(`[ProfileLoader] Using profile "${id}"`);
+  return profile;
+}
+
+/**
+ * Tints the level's background dome with the profile theme's `sky`, `equator` and
+ * `ground` colors. Portal buttons pick up `theme.accent` themselves (RoomScene).
+ * @param {import("@iwsdk/core").World} world
+ * @param {Object} profile
+ */
+export function applyProfileTheme(world, { theme } = {}) {
+  if (!theme || !DOME_COLORS.some((key) => theme[key])) return;
+
+  const level = world.activeLevel?.value;
+  if (!level?.hasComponent(DomeGradient)) {
+    logger.warn("[ProfileLoader] The level has no gradient dome; skipping theme colors");
+    return;
+  }
+
+  const color = new THREE.Color();
+  DOME_COLORS.filter((key) => theme[key]).forEach((key) => {
+    color.set(theme[key]);
+    level.getVectorView(DomeGradient, key).set([color.r, color.g, color.b, 1]);
+  });
+  level.setValue(DomeGradient, "_needsUpdate", true);
+}
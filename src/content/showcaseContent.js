@@ -1,11 +1,78 @@
-import showcaseScenes from "./showcaseScenes.json" assert { type: "json" };
+import showcaseScenesData from "./showcaseScenes.json" with { type: "json" };
+import portfolioData from "./portfolio.json" with { type: "json" };
+import projectsData from "./projects.json" with { type: "json" };
+import photosData from "./photos.json" with { type: "json" };
+import artData from "./art.json" with { type: "json" };
+import toursData from "./tours.json" with { type: "json" };
+import profilesData from "./profiles.json" with { type: "json" };
+import markdownRoomsData from "virtual:showcase-rooms";
+import { logger } from "../utils/logger.js";
+import { CONTENT_FILES, START_ROOM } from "./contentFiles.js";
+
+/**
+ * Current content of every content file, keyed by file name. Scenes read content through
+ * the getters below at init time, so replaced content shows up the next time a scene renders.
+ */
+const content = {
+  showcaseScenes: showcaseScenesData,
+  portfolio: portfolioData,
+  projects: projectsData,
+  photos: photosData,
+  art: artData,
+  tours: toursData
+};
+
+const listeners = new Set();
+
+/** Profile whose room set and welcome text shape the rooms (see setActiveProfile) */
+let activeProfile = null;
+
+/** Content files the active profile replaces, keyed by file name */
+let profileContent = {};
+
+/** Rooms written in content/rooms/*.md (compiled by scripts/markdownRoomsPlugin.js) */
+let markdownRooms = markdownRoomsData;
+
+/** showcaseScenes plus the Markdown rooms, as the active profile sees them */
+let rooms = { ...content.showcaseScenes, ...markdownRooms };
+
+/**
+ * Limits the rooms to the profile's `rooms` (dropping teleports into removed rooms) and puts
+ * its `welcome` text on the main hall's "welcome" panel.
+ */
+function applyProfile(allRooms, profile) {
+  if (!profile) return allRooms;
+
+  const roomIds = profile.rooms
+    ? Object.keys(allRooms).filter((id) => id === START_ROOM || profile.rooms.includes(id))
+    : Object.keys(allRooms);
+
+  return Object.fromEntries(
+    roomIds.map((id) => {
+      const room = {
+        ...allRooms[id],
+        teleports: (allRooms[id].teleports || []).filter((teleport) =>
+          roomIds.includes(teleport.target)
+        )
+      };
+      if (id === START_ROOM && profile.welcome) {
+        const panels = room.panels || [];
+        const welcome = panels.find((panel) => panel.id === "welcome");
+        room.panels = welcome
+          ? panels.map((panel) => (panel === welcome ? { ...panel, ...profile.welcome } : panel))
+          : [{ id: "welcome", ...profile.welcome }, ...panels];
+      }
+      return [id, room];
+    })
+  );
+}
 
 /**
  * Returns structured data for a scene by ID.
  * @param {string} sceneId
  */
 export function getShowcaseScene(sceneId) {
-  return showcaseScenes[sceneId] || null;
+  return rooms[sceneId] || null;
 }
 
 /**
@@ -17,6 +84,132 @@ export function getTeleports(sceneId) {
   return getShowcaseScene(sceneId)?.teleports || [];
 }
 
-export const SHOWCASE_SCENE_IDS = Object.keys(showcaseScenes);
+/** @returns {Object} profile and contact details (portfolio.json) */
+export function getPortfolio() {
+  return content.portfolio;
+}
+
+/** @returns {Array} project panels (projects.json) */
+export function getProjects() {
+  return content.projects;
+}
 
+/** @returns {Array} photos (photos.json) */
+export function getPhotos() {
+  return content.photos;
+}
+
+/** @returns {Array} artworks (art.json) */
+export function getArt() {
+  return content.art;
+}
+
+/** @returns {Object<string, Object>} guided tours keyed by tour id (tours.json) */
+export function getTours() {
+  return content.tours;
+}
+
+/**
+ * @returns {{ defaultProfile: string, profiles: Object<string, Object> }} profiles.json
+ */
+export function getProfiles() {
+  return profilesData;
+}
 
+/** @returns {Object|null} the profile set with setActiveProfile, with its `id` */
+export function getActiveProfile() {
+  return activeProfile;
+}
+
+export let SHOWCASE_SCENE_IDS = Object.keys(rooms);
+
+function updateRooms() {
+  rooms = applyProfile({ ...content.showcaseScenes, ...markdownRooms }, activeProfile);
+  SHOWCASE_SCENE_IDS = Object.keys(rooms);
+}
+
+function notify(files) {
+  logger.info(`[ShowcaseContent] Updated ${files.join(", ")}`);
+  listeners.forEach((listener) => {
+    try {
+      listener({ files });
+    } catch (error) {
+      logger.error("[ShowcaseContent] Error in content listener:", error);
+    }
+  });
+}
+
+/**
+ * Replaces the content of some files and notifies content listeners.
+ * @param {Object} updates - new file contents keyed by file name (see CONTENT_FILES)
+ */
+export function updateContent(updates) {
+  const files = Object.keys(updates).filter((file) => CONTENT_FILES.includes(file));
+  if (files.length === 0) return;
+
+  files.forEach((file) => {
+    content[file] = updates[file];
+  });
+  updateRooms();
+  notify(files);
+}
+
+/**
+ * Switches to a profile from profiles.json: its content files replace the bundled ones, and its
+ * room set and welcome text apply to the rooms from now on, including content replaced later.
+ * Content listeners are notified.
+ * @param {Object} profile - profile entry with its `id`
+ * @param {Object} files - content files the profile replaces, keyed by file name
+ */
+export function setActiveProfile(profile, files = {}) {
+  activeProfile = profile;
+  profileContent = Object.fromEntries(
+    Object.entries(files).filter(([file]) => CONTENT_FILES.includes(file))
+  );
+  Object.assign(content, profileContent);
+  updateRooms();
+  notify([...new Set([...Object.keys(profileContent), "showcaseScenes"])]);
+}
+
+/**
+ * Swaps in an edited bundled content file; a file the active profile replaces keeps the
+ * profile's copy.
+ * @param {string} file - content file name
+ * @param {{ default: unknown }|undefined} module - the re-imported JSON module
+ */
+function swapBundledFile(file, module) {
+  if (!module) return;
+  if (file in profileContent) {
+    logger.info(`[ShowcaseContent] Keeping profile "${activeProfile.id}"'s ${file}`);
+    return;
+  }
+  updateContent({ [file]: module.default });
+}
+
+/**
+ * Subscribes to content replacements (hot-reloaded content files during development).
+ * @param {(detail: { files: string[] }) => void} listener
+ * @returns {() => void} unsubscribe function
+ */
+export function onContentChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Edited content files are swapped in place instead of reloading the page (and XR session)
+if (import.meta.hot) {
+  import.meta.hot.accept("./showcaseScenes.json", (module) =>
+    swapBundledFile("showcaseScenes", module)
+  );
+  import.meta.hot.accept("./portfolio.json", (module) => swapBundledFile("portfolio", module));
+  import.meta.hot.accept("./projects.json", (module) => swapBundledFile("projects", module));
+  import.meta.hot.accept("./photos.json", (module) => swapBundledFile("photos", module));
+  import.meta.hot.accept("./art.json", (module) => swapBundledFile("art", module));
+  import.meta.hot.accept("./tours.json", (module) => swapBundledFile("tours", module));
+  import.meta.hot.accept("virtual:showcase-rooms", (module) => {
+    if (!module) return;
+    markdownRooms = module.default;
+    updateRooms();
+    notify(["showcaseScenes"]);
+  });
+}
@@ -35,11 +35,13 @@ World.create(document.getElementById("scene-container"), {
   },
   features: {
     locomotion: { useWorker: true },
-    grabbing: false,
+    grabbing: true,
     physics: false,
     sceneUnderstanding: false
   }
 }).then((world) => {
   // Launch your custom application
-  startSpatialShowcase(world);
+  startSpatialShowcase(world).catch((error) => {
+    logger.error("[SpatialShowcase] Startup failed:", error);
+  });
 });
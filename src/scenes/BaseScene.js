@@ -1,8 +1,8 @@
 import { CAMERA } from "../constants/sceneConstants.js";
-import { getSceneLoader } from "./sceneRegistry.js";
 import { logger } from "../utils/logger.js";
-import { safeDynamicImport, handleSceneLoadError } from "../utils/errorHandler.js";
 import { stopSlideshow } from "../utils/slideshow.js";
+import { stopVideo } from "../utils/videoPanel.js";
+import { stopModel } from "../components/ModelExhibit.js";
 
 /**
  * Base class providing common scene utilities such as camera setup and entity tracking.
@@ -11,13 +11,42 @@ export class BaseScene {
   /**
    * @param {import("@iwsdk/core").World} world - IWSDK world instance
    * @param {import("../systems/SceneManager.js").SceneManager} sceneManager - scene manager controlling transitions
+   * @param {{ sceneId?: string, reload?: boolean } | null} data - scene parameters passed through
+   *   SceneManager.loadScene; `reload` is set when SceneManager.reload() re-creates the scene
    */
-  constructor(world, sceneManager) {
+  constructor(world, sceneManager, data = null) {
     this.world = world;
     this.sceneManager = sceneManager;
+    this.data = data;
+    this.sceneId = data?.sceneId || null;
     this.entities = [];
   }
 
+  /**
+   * Lifecycle hook: runs before the previous scene is removed. Use it to fetch or decode
+   * anything the scene needs so the switch itself is quick.
+   * @returns {Promise<void>|void}
+   */
+  async preload() {}
+
+  /**
+   * Lifecycle hook: creates the scene's entities once it becomes the active scene.
+   * @returns {Promise<void>|void}
+   */
+  init() {}
+
+  /**
+   * Lifecycle hook: runs after `init()` once the scene is fully active.
+   * @returns {Promise<void>|void}
+   */
+  async onEnter() {}
+
+  /**
+   * Lifecycle hook: runs before `dispose()` when another scene replaces this one.
+   * @returns {Promise<void>|void}
+   */
+  async onExit() {}
+
   /**
    * Positions the camera using the provided coordinates (defaults to the global camera position).
    * @param {{ x: number, y: number, z: number }} position
@@ -46,94 +75,101 @@ export class BaseScene {
   dispose() {
     logger.debug(`[BaseScene] Disposing scene with ${this.entities.length} entities`);
 
-    this.entities.forEach((entity, index) => {
-      const entityName = entity.constructor?.name || `Entity${index}`;
-      logger.debug(`[BaseScene] Disposing entity ${index}: ${entityName}`);
+    this.entities.forEach((entity, index) => this.disposeEntity(entity, index));
 
-      // Clean up slideshows before destroying entity (if any)
-      if (entity.object3D) {
-        stopSlideshow(entity);
-      }
+    this.entities = [];
+    logger.debug("[BaseScene] Scene disposal complete");
+  }
 
-      // Remove object3D from scene - this is the primary cleanup method in IWSDK
-      if (entity.object3D) {
-        if (entity.object3D.parent) {
-          logger.debug(`[BaseScene] Removing entity ${index} from parent`);
-          entity.object3D.parent.remove(entity.object3D);
-        }
+  /**
+   * Disposes some of the tracked entities (e.g. one page of a carousel) and stops tracking them.
+   * @param {Entity[]} entities
+   */
+  releaseEntities(entities) {
+    entities.forEach((entity) => this.disposeEntity(entity, this.entities.indexOf(entity)));
+    this.entities = this.entities.filter((entity) => !entities.includes(entity));
+  }
 
-        // More aggressive cleanup - try to remove from world scene directly
-        if (this.world?.scene?.remove) {
-          try {
-            this.world.scene.remove(entity.object3D);
-          } catch (e) {
-            // Entity might already be removed, which is fine
-            logger.debug(`[BaseScene] Could not remove entity ${index} from world scene: ${e.message}`);
-          }
-        }
+  /**
+   * Removes an entity's object from the scene, frees its GPU resources and destroys it.
+   * @param {Entity} entity
+   * @param {number} index - position in the tracked list, used in log messages
+   */
+  disposeEntity(entity, index) {
+    const entityName = entity.constructor?.name || `Entity${index}`;
+    logger.debug(`[BaseScene] Disposing entity ${index}: ${entityName}`);
 
-        // Dispose of Three.js resources (geometries and materials)
-        entity.object3D.traverse((object) => {
-          if (object.isMesh) {
-            if (object.geometry) {
-              object.geometry.dispose();
-            }
-            if (object.material) {
-              if (Array.isArray(object.material)) {
-                object.material.forEach((material) => material.dispose());
-              } else {
-                object.material.dispose();
-              }
-            }
-          }
-        });
+    // Clean up slideshows, video players and model loads before destroying entity (if any)
+    if (entity.object3D) {
+      stopSlideshow(entity);
+      stopVideo(entity);
+      stopModel(entity);
+    }
 
-        // Note: We don't set object3D to null here as it might be accessed
-        // during the disposal process. Let garbage collection handle it.
+    // Remove object3D from scene - this is the primary cleanup method in IWSDK
+    if (entity.object3D) {
+      if (entity.object3D.parent) {
+        logger.debug(`[BaseScene] Removing entity ${index} from parent`);
+        entity.object3D.parent.remove(entity.object3D);
       }
 
-      // Try to destroy the entity itself if it has a destroy method
-      if (typeof entity.destroy === "function") {
+      // More aggressive cleanup - try to remove from world scene directly
+      if (this.world?.scene?.remove) {
         try {
-          entity.destroy();
+          this.world.scene.remove(entity.object3D);
         } catch (e) {
-          logger.warn(`[BaseScene] Error destroying entity ${index}: ${e.message}`);
+          // Entity might already be removed, which is fine
+          logger.debug(
+            `[BaseScene] Could not remove entity ${index} from world scene: ${e.message}`
+          );
         }
       }
-    });
 
-    this.entities = [];
-    logger.debug("[BaseScene] Scene disposal complete");
+      // Dispose of Three.js resources (geometries and materials); cached assets such as
+      // GLTF models are shared with other entities and stay loaded
+      const ownsResources = !entity.object3D.userData.sharedResources;
+      entity.object3D.traverse((object) => {
+        if (ownsResources && object.isMesh) {
+          if (object.geometry) {
+            object.geometry.dispose();
+          }
+          if (object.material) {
+            if (Array.isArray(object.material)) {
+              object.material.forEach((material) => material.dispose());
+            } else {
+              object.material.dispose();
+            }
+          }
+        }
+      });
+
+      // Note: We don't set object3D to null here as it might be accessed
+      // during the disposal process. Let garbage collection handle it.
+    }
+
+    // Try to destroy the entity itself if it has a destroy method
+    if (typeof entity.destroy === "function") {
+      try {
+        entity.destroy();
+      } catch (e) {
+        logger.warn(`[BaseScene] Error destroying entity ${index}: ${e.message}`);
+      }
+    }
   }
 
   /**
-   * Loads another scene by ID using the shared scene registry.
+   * Loads another scene by ID, recording it in the scene manager's history.
    * @param {string} targetSceneId
-   * @returns {Promise<void>}
+   * @param {{ transition?: string|Object }} options - transition override, e.g. from a teleport
+   * @returns {Promise<BaseScene|null>} the entered scene, or null if the request was superseded
    */
-  async navigateToScene(targetSceneId) {
+  async navigateToScene(targetSceneId, { transition } = {}) {
     if (!targetSceneId) {
       logger.error("[SceneNavigation] No target scene ID provided");
-      return;
-    }
-
-    const loader = getSceneLoader(targetSceneId);
-    if (!loader) {
-      logger.warn(`[SceneNavigation] No loader registered for "${targetSceneId}"`);
-      return;
+      return null;
     }
 
     logger.info(`[SceneNavigation] Transition -> ${targetSceneId}`);
-    try {
-      const SceneClass = await safeDynamicImport(loader, `scene "${targetSceneId}"`);
-      if (!SceneClass) {
-        logger.warn(`[SceneNavigation] Loader for "${targetSceneId}" returned empty module`);
-        return;
-      }
-      this.sceneManager.loadScene(SceneClass);
-    } catch (error) {
-      handleSceneLoadError(targetSceneId, error);
-      throw error; // Re-throw so caller can handle it
-    }
+    return this.sceneManager.navigate(targetSceneId, { transition });
   }
 }
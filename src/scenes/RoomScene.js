@@ -0,0 +1,414 @@
+import { PanelUI } from "@iwsdk/core";
+import { CAMERA, ROOM, SETTINGS, TOUR } from "../constants/sceneConstants.js";
+import { logger } from "../utils/logger.js";
+import { applyPlacement, computeLayout } from "../utils/layout.js";
+import { bindPanelButton } from "../utils/panelBindings.js";
+import { attachPanelAudio } from "../utils/sounds.js";
+import { BaseScene } from "./BaseScene.js";
+import { getActiveProfile, getShowcaseScene, getTours } from "../content/showcaseContent.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { getMissingTourRooms } from "../systems/TourPlayer.js";
+import { getSceneTeleports } from "./sceneRegistry.js";
+import { getPanelTemplate, resolvePanelTemplate } from "./panelTemplates.js";
+import { createBackButton } from "../components/BackButton.js";
+import { createLightbox } from "../components/Lightbox.js";
+import { createPanoramaViewer } from "../components/PanoramaViewer.js";
+import { createTextDetail } from "../components/TextDetail.js";
+import { createCarousel } from "../components/Carousel.js";
+import { createModelExhibit } from "../components/ModelExhibit.js";
+import { createRobotGuide } from "../components/RobotGuide.js";
+import { createSettingsPanel } from "../components/SettingsPanel.js";
+
+/**
+ * Generic room rendered entirely from its entry in showcaseScenes.json.
+ *
+ * Supported entry fields:
+ * - `spawn` – camera position on entry
+ * - `panelTemplate` – key of PANEL_TEMPLATES used for every panel
+ * - `pagination` – `{ pageSize, autoAdvance, loop }`; panels beyond `pageSize` are reached
+ *   through carousel controls above the panels
+ * - `layout` – arrangement of content panels: `{ type, spacing, height, radius, facing, … }`
+ *   with any layout from utils/layout.js (row, arc, circle, grid, vertical-stack)
+ * - `navigation` – `{ layout, spacing, x, height, z, backButton, maxWidth, maxHeight }` for
+ *   buttons; `layout` names the layout type
+ * - `teleports` – navigation targets; entries with `hidden: true` get no button, and
+ *   `transition` (`"fade"`, `"crossfade"`, `"portal"` or `{ type, duration, color }`) picks the
+ *   scene transition used by that button
+ * - `navigation.registeredScenes` – also show a portal to every listed registered scene
+ *   (see registerScene in sceneRegistry.js); the main hall uses this
+ * - `menu` – `{ order, icon, category, transition }` lists the room in those portals
+ * - `guide` – `{ text, narration, next, position }` for the robot guide: what it says (and the
+ *   audio clip it plays) when pressed, the id of the teleport it points to (default: the first
+ *   visible one) and where it floats
+ * - `ambient` – `{ src, volume }` music track played while in the room, crossfaded with the
+ *   previous room's (see components/AmbientAudio.js)
+ * - `panels[].audio` – `{ src, volume, loop, autoplay, refDistance }` positional sound heard
+ *   from the panel (or a model exhibit's info panel)
+ * - `tours` – ids of tours in tours.json offered by buttons next to the settings button
+ * - `panels[].model` – `{ src, size, turntable, grabbable, pedestal }` shows a GLTF model on
+ *   a pedestal with an info panel instead of a panel (see components/ModelExhibit.js)
+ *
+ * Rooms whose panels come from another content file (About, Projects, Photography, Art
+ * Gallery, Contact) subclass RoomScene and override `getPanels()`.
+ */
+export class RoomScene extends BaseScene {
+  constructor(world, sceneManager, data) {
+    super(world, sceneManager, data);
+    this.lightbox = createLightbox(world);
+    this.panorama = createPanoramaViewer(world);
+    this.textDetail = createTextDetail(world);
+    this.settings = createSettingsPanel(world);
+    this.guide = createRobotGuide(world);
+    this.carousel = null;
+    this.panels = [];
+    this.panelEntities = new Map();
+    this.highlighted = new Set();
+    this.portals = new Map();
+  }
+
+  /**
+   * Lifecycle hook invoked by the scene manager to set up entities.
+   */
+  init() {
+    this.sceneData = getShowcaseScene(this.sceneId);
+    if (!this.sceneData) {
+      logger.warn(`[RoomScene] Missing scene data for ${this.sceneId}`);
+      return;
+    }
+
+    // A content reload re-renders the room around the viewer instead of respawning them
+    if (!this.data?.reload) {
+      this.setupCamera(this.sceneData.spawn || CAMERA.DEFAULT_POSITION);
+    }
+
+    logger.info(`[RoomScene] Rendering room "${this.sceneId}"`);
+
+    const teleports = getSceneTeleports(this.sceneId);
+    this.renderPanels(this.getPanels());
+    this.renderNavigation(teleports);
+    this.renderSettingsButton();
+    this.renderTourButtons();
+    this.showGuide(teleports);
+
+    logger.info(`[RoomScene] ${this.sceneId}: Created ${this.entities.length} entities`);
+  }
+
+  /**
+   * Content panels shown in the room.
+   * @returns {Array}
+   */
+  getPanels() {
+    return this.sceneData.panels || [];
+  }
+
+  /**
+   * Closes the lightbox, text detail view, settings and 360° viewer, and removes the guide
+   * and stops the carousel before base disposal.
+   */
+  dispose() {
+    this.lightbox.close();
+    this.textDetail.close();
+    this.settings.close();
+    this.guide.dispose();
+    this.panorama.dispose();
+    this.carousel?.dispose();
+    super.dispose();
+  }
+
+  /**
+   * Creates the room's content panels using its panel template and layout, a page at a time
+   * when the room declares a `pagination.pageSize` smaller than its panel count.
+   * @param {Array} panels
+   */
+  renderPanels(panels) {
+    const templateName = this.sceneData.panelTemplate || ROOM.DEFAULT_PANEL_TEMPLATE;
+    const template = getPanelTemplate(templateName);
+    if (!template) {
+      logger.error(`[RoomScene] Unknown panel template "${templateName}" in ${this.sceneId}`);
+      return;
+    }
+
+    this.panels = panels;
+    const layout = { ...ROOM.PANEL_LAYOUT, ...this.sceneData.layout };
+    const pagination = { ...ROOM.PAGINATION, ...this.sceneData.pagination };
+    const pageSize = Math.min(pagination.pageSize || panels.length, panels.length);
+
+    // Controls go straight ahead, just above the tallest panel of a full page
+    const fullPage = computeLayout(pageSize, layout);
+    const topEdge =
+      Math.max(...fullPage.map(({ position }) => position.y)) + template.maxHeight / 2;
+    const [controlsPlacement] = computeLayout(1, {
+      ...layout,
+      height: topEdge + pagination.controlsGap
+    });
+
+    let pageEntities = [];
+    this.carousel = createCarousel(this.world, {
+      itemCount: panels.length,
+      pageSize,
+      autoAdvance: pagination.autoAdvance,
+      loop: pagination.loop,
+      placement: controlsPlacement,
+      onPageChange: (page, { start, end }) => {
+        this.releaseEntities(pageEntities);
+        this.panelEntities.clear();
+        pageEntities = this.createPanels(template, panels.slice(start, end), layout);
+        logger.info(`[RoomScene] Showing panels ${start + 1}-${end} of ${panels.length}`);
+      }
+    });
+
+    if (this.carousel.entity) {
+      this.trackEntity(this.carousel.entity);
+    }
+  }
+
+  /**
+   * Creates and binds one panel entity per content entry; entries with a `model` become 3D
+   * model exhibits in their layout slot instead.
+   * @param {Object} template - entry of PANEL_TEMPLATES used unless a panel names its own
+   * @param {Array} panels - the panels to show
+   * @param {Object} layout - layout options for computeLayout
+   * @returns {Entity[]} the created entities
+   */
+  createPanels(template, panels, layout) {
+    const placements = computeLayout(panels.length, layout);
+
+    return panels.flatMap((panel, index) => {
+      if (panel.model) {
+        const entities = createModelExhibit(this.world, panel, placements[index], {
+          onReadMore: () => this.textDetail.open({ title: panel.title, text: panel.description })
+        });
+        entities.forEach((entity) => this.trackEntity(entity));
+        const infoPanel = entities.find((entity) => entity.hasComponent(PanelUI));
+        this.registerPanel(panel, infoPanel);
+        return entities;
+      }
+
+      const panelTemplate = resolvePanelTemplate(panel) || template;
+      const entity = this.world.createTransformEntity().addComponent(PanelUI, {
+        config: panelTemplate.config,
+        maxWidth: panelTemplate.maxWidth,
+        maxHeight: panelTemplate.maxHeight
+      });
+
+      applyPlacement(entity.object3D, placements[index]);
+
+      this.trackEntity(entity);
+
+      panelTemplate.bind(this, entity, panel);
+      this.registerPanel(panel, entity);
+
+      logger.debug(`[RoomScene] Panel "${panel.id}" created`, placements[index].position);
+      return entity;
+    });
+  }
+
+  /**
+   * Remembers a panel's entity by panel id so tours can highlight it, and gives it the
+   * panel's positional audio.
+   * @param {Object} panel
+   * @param {Entity|undefined} entity - the PanelUI entity showing the panel
+   */
+  registerPanel(panel, entity) {
+    if (!entity) return;
+    if (panel.audio) {
+      attachPanelAudio(this.world, entity, panel.audio);
+    }
+    if (!panel.id) return;
+    this.panelEntities.set(panel.id, entity);
+    if (this.highlighted.has(panel.id)) {
+      this.setPanelHighlight(entity, true);
+    }
+  }
+
+  /**
+   * Outlines the panels with the given ids (and removes the outline from the others),
+   * turning the carousel to the page of the first one when it is not shown.
+   * @param {string[]} panelIds
+   */
+  highlightPanels(panelIds) {
+    this.panelEntities.forEach((entity, id) => {
+      if (this.highlighted.has(id) && !panelIds.includes(id)) {
+        this.setPanelHighlight(entity, false);
+      }
+    });
+    this.highlighted = new Set(panelIds);
+
+    const [first] = panelIds;
+    const index = this.panels.findIndex((panel) => panel.id === first);
+    if (first && !this.panelEntities.has(first) && index >= 0 && this.carousel) {
+      this.carousel.goTo(Math.floor(index / this.carousel.pageSize));
+    }
+
+    this.panelEntities.forEach((entity, id) => {
+      if (this.highlighted.has(id)) this.setPanelHighlight(entity, true);
+    });
+  }
+
+  setPanelHighlight(entity, highlighted) {
+    const { BORDER_WIDTH, BORDER_COLOR } = TOUR.HIGHLIGHT;
+    whenPanelReady(entity)
+      .then((document) => {
+        document.rootElement?.setProperties?.({
+          borderWidth: highlighted ? BORDER_WIDTH : 0,
+          borderColor: BORDER_COLOR
+        });
+      })
+      .catch((error) => reportPanelNotReady("[RoomScene]", error));
+  }
+
+  /**
+   * Creates the back button (when enabled) and one portal per visible teleport,
+   * arranged by the navigation layout.
+   * @param {Array} teleports
+   */
+  renderNavigation(teleports) {
+    const navigation = { ...ROOM.NAVIGATION, ...this.sceneData.navigation };
+    const visibleTeleports = teleports.filter((teleport) => !teleport.hidden);
+    const buttonCount = visibleTeleports.length + (navigation.backButton ? 1 : 0);
+    const placements = computeLayout(buttonCount, { ...navigation, type: navigation.layout });
+
+    let index = 0;
+    if (navigation.backButton) {
+      createBackButton(this.world, this.sceneManager, this.entities, placements[index]);
+      index++;
+    }
+
+    visibleTeleports.forEach((teleport) => {
+      this.createPortal(teleport, placements[index], navigation);
+      index++;
+    });
+
+    logger.info(`[RoomScene] Created ${buttonCount} navigation buttons (${navigation.layout})`);
+  }
+
+  /**
+   * Creates the button that opens the settings panel.
+   */
+  renderSettingsButton() {
+    const { label, maxWidth, maxHeight, POSITION } = SETTINGS.BUTTON;
+    const entity = this.world.createTransformEntity().addComponent(PanelUI, {
+      config: "/ui/portalPanel.json",
+      maxWidth,
+      maxHeight
+    });
+    applyPlacement(entity.object3D, { position: POSITION, lookAt: { ...CAMERA.DEFAULT_POSITION } });
+    this.trackEntity(entity);
+
+    bindPanelButton(entity, { label, onClick: () => this.settings.toggle() });
+  }
+
+  /**
+   * Creates a button per tour the room lists in `tours`, starting that tour. Tours visiting a
+   * room that cannot be opened (e.g. one the active profile leaves out) get no button.
+   */
+  renderTourButtons() {
+    const tours = getTours() || {};
+    const { maxWidth, maxHeight, POSITION, SPACING } = TOUR.BUTTON;
+
+    const available = (this.sceneData.tours || []).filter((tourId) => {
+      if (!tours[tourId]) {
+        logger.warn(`[RoomScene] Unknown tour "${tourId}" in ${this.sceneId}`);
+        return false;
+      }
+      const missingRooms = getMissingTourRooms(tours[tourId]);
+      if (missingRooms.length > 0) {
+        logger.info(`[RoomScene] Hiding tour "${tourId}": cannot open ${missingRooms.join(", ")}`);
+        return false;
+      }
+      return true;
+    });
+
+    available.forEach((tourId, index) => {
+      const tour = tours[tourId];
+      const entity = this.world.createTransformEntity().addComponent(PanelUI, {
+        config: "/ui/portalPanel.json",
+        maxWidth,
+        maxHeight
+      });
+      const position = { ...POSITION, y: POSITION.y + index * SPACING };
+      applyPlacement(entity.object3D, { position, lookAt: { ...CAMERA.DEFAULT_POSITION } });
+      this.trackEntity(entity);
+
+      bindPanelButton(entity, {
+        label: tour.title,
+        onClick: () => this.sceneManager.playTour(tourId, tour)
+      });
+    });
+  }
+
+  /**
+   * Shows the robot guide, pointing at the room's `guide.next` teleport or its first visible
+   * one.
+   * @param {Array} teleports
+   */
+  showGuide(teleports) {
+    const guide = this.sceneData.guide || {};
+    const visibleTeleports = teleports.filter((teleport) => !teleport.hidden);
+    const next = guide.next
+      ? visibleTeleports.find((teleport) => teleport.id === guide.next)
+      : visibleTeleports[0];
+    if (guide.next && !next) {
+      logger.warn(
+        `[RoomScene] Guide points at unknown teleport "${guide.next}" in ${this.sceneId}`
+      );
+    }
+
+    const portal = next && this.portals.get(next.id);
+    this.guide.show({
+      title: this.sceneData.title,
+      guide,
+      target: portal ? { label: next.label, object3D: portal.object3D } : null
+    });
+  }
+
+  /**
+   * Creates a single portal button that loads the teleport's target scene.
+   * @param {{ label: string, target: string, transition?: string|Object, subtitle?: string }}
+   *   teleport
+   * @param {{ position: Object, lookAt: Object|null }} placement - from computeLayout
+   * @param {{ maxWidth: number, maxHeight: number }} size
+   */
+  createPortal(teleport, placement, { maxWidth, maxHeight }) {
+    const entity = this.world.createTransformEntity().addComponent(PanelUI, {
+      config: "/ui/portalPanel.json",
+      maxWidth,
+      maxHeight
+    });
+
+    applyPlacement(entity.object3D, placement);
+
+    this.trackEntity(entity);
+    this.portals.set(teleport.id, entity);
+
+    const accent = getActiveProfile()?.theme?.accent;
+    if (teleport.subtitle || accent) {
+      whenPanelReady(entity)
+        .then((document) => {
+          if (teleport.subtitle) {
+            document.getElementById?.("portal-subtitle")?.setProperties?.({
+              text: teleport.subtitle
+            });
+          }
+          if (accent) {
+            document.getElementById?.("portal-button")?.setProperties?.({
+              backgroundColor: accent
+            });
+          }
+        })
+        .catch((error) => reportPanelNotReady("[RoomScene]", error));
+    }
+
+    bindPanelButton(entity, {
+      label: teleport.label,
+      onClick: () => {
+        logger.info(`[RoomScene] Portal clicked: ${teleport.label} -> ${teleport.target}`);
+        this.navigateToScene(teleport.target, { transition: teleport.transition }).catch(
+          (error) => {
+            logger.error(`[RoomScene] Navigation to ${teleport.target} failed:`, error);
+          }
+        );
+      }
+    });
+  }
+}
@@ -0,0 +1,238 @@
+import { bindExternalLink, bindPanelButton } from "../utils/panelBindings.js";
+import { bindPanelContent } from "../utils/panelContent.js";
+import { bindGalleryContent } from "../utils/galleryContent.js";
+import { createSlideshow } from "../utils/slideshow.js";
+import { createVideoPlayer } from "../utils/videoPanel.js";
+import { bindRichDescription } from "../utils/richTextView.js";
+import { toPlainText } from "../utils/richText.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+
+/**
+ * Lists the images a gallery panel pages through, falling back to the panel image.
+ * Entries may be image URLs or `{ src, title, caption }`; missing titles use the panel title.
+ * @param {Object} panel
+ * @returns {Array<{ src: string, title: string, caption: string }>}
+ */
+function resolveGalleryItems(panel) {
+  const entries = panel.thumbnails || panel.images || [];
+  const images = entries.length > 0 ? entries : [panel.image].filter(Boolean);
+
+  return images.map((entry) => {
+    const item = typeof entry === "string" ? { src: entry } : entry;
+    return { title: panel.title || "", caption: "", ...item };
+  });
+}
+
+/**
+ * Fills a photo panel. Clicking the photo opens the lightbox over every photo in the room;
+ * equirectangular `image360` photos are not shown flat but get a button that opens the
+ * 360° viewer.
+ * @param {import("./RoomScene.js").RoomScene} scene
+ * @param {Entity} entity
+ * @param {{ title: string, description?: string, image?: string, image360?: string }} panel
+ */
+function bindPhotoPanel(scene, entity, panel) {
+  whenPanelReady(entity)
+    .then((document) => {
+      document.getElementById?.("photo-title")?.setProperties?.({ text: panel.title || "" });
+      document.getElementById?.("photo-image")?.setProperties?.({
+        src: panel.image || "",
+        display: panel.image ? "flex" : "none"
+      });
+      document.getElementById?.("photo-view-button")?.setProperties?.({
+        display: panel.image360 ? "flex" : "none"
+      });
+    })
+    .catch((error) => reportPanelNotReady("[PanelTemplates]", error));
+
+  if (panel.image) {
+    const photos = scene.panels.filter((entry) => entry.image);
+    const items = photos.map((entry) => ({
+      src: entry.image,
+      title: entry.title || "",
+      caption: toPlainText(entry.description)
+    }));
+    bindPanelButton(entity, {
+      label: panel.title,
+      titleId: null,
+      buttonId: "photo-image",
+      onClick: () => scene.lightbox.open(items, photos.indexOf(panel))
+    });
+  }
+
+  if (panel.image360) {
+    bindPanelButton(entity, {
+      label: "View in 360°",
+      titleId: "photo-view-button-text",
+      buttonId: "photo-view-button",
+      onClick: () =>
+        scene.panorama.open(panel, { hide: [...scene.entities, ...scene.guide.entities] })
+    });
+  }
+}
+
+/**
+ * Options for panels whose description can be cut short: "Read more" opens the scene's text
+ * detail view with the full description.
+ * @param {import("./RoomScene.js").RoomScene} scene
+ * @param {Object} panel
+ */
+function readMoreOptions(scene, panel) {
+  return {
+    onReadMore: () => scene.textDetail.open({ title: panel.title, text: panel.description })
+  };
+}
+
+/**
+ * Panel templates a room can reference through `panelTemplate` in showcaseScenes.json.
+ * Each template names its compiled UIKitML config, its size, and how panel data is bound.
+ * A panel can override its room's template with `template`; panels that declare a
+ * `slideshow` array use the slideshow template, and panels with a `video` the video template.
+ */
+export const PANEL_TEMPLATES = {
+  project: {
+    config: "/ui/projectPanel.json",
+    maxWidth: 2.0,
+    maxHeight: 2.5,
+    bind(scene, entity, panel) {
+      bindPanelContent(
+        entity,
+        {
+          title: panel.title,
+          description: panel.description || "",
+          image: panel.image || ""
+        },
+        readMoreOptions(scene, panel)
+      );
+    }
+  },
+  gallery: {
+    config: "/ui/galleryPanel.json",
+    maxWidth: 1.6,
+    maxHeight: 2.5,
+    bind(scene, entity, panel) {
+      const items = resolveGalleryItems(panel);
+      bindGalleryContent(
+        entity,
+        {
+          title: panel.title,
+          description: panel.description || "",
+          thumbnails: items.map((item) => item.src)
+        },
+        (_imageSrc, index) => scene.lightbox.open(items, index),
+        readMoreOptions(scene, panel)
+      );
+    }
+  },
+  photo: {
+    config: "/ui/photoPanel.json",
+    maxWidth: 1.5,
+    maxHeight: 2.0,
+    bind: bindPhotoPanel
+  },
+  about: {
+    config: "/ui/aboutPanel.json",
+    maxWidth: 2.2,
+    maxHeight: 2.8,
+    bind(scene, entity, panel) {
+      bindPanelContent(
+        entity,
+        {
+          title: panel.title,
+          description: panel.description || "",
+          image: panel.image || ""
+        },
+        readMoreOptions(scene, panel)
+      );
+      whenPanelReady(entity)
+        .then((document) => {
+          document.getElementById?.("panel-role")?.setProperties?.({ text: panel.role || "" });
+        })
+        .catch((error) => reportPanelNotReady("[PanelTemplates]", error));
+    }
+  },
+  slideshow: {
+    config: "/ui/slideshowPanel.json",
+    maxWidth: 2.0,
+    maxHeight: 2.5,
+    bind(scene, entity, panel) {
+      whenPanelReady(entity)
+        .then((document) => {
+          document.getElementById?.("panel-title")?.setProperties?.({ text: panel.title || "" });
+        })
+        .catch((error) => reportPanelNotReady("[PanelTemplates]", error));
+
+      createSlideshow(scene.world, entity, panel.slideshow, {
+        interval: panel.slideDuration,
+        autoplay: panel.autoplay ?? true,
+        loop: panel.loop ?? true
+      });
+    }
+  },
+  video: {
+    config: "/ui/videoPanel.json",
+    maxWidth: 2.2,
+    maxHeight: 2.4,
+    bind(scene, entity, panel) {
+      whenPanelReady(entity)
+        .then((document) => {
+          document.getElementById?.("panel-title")?.setProperties?.({ text: panel.title || "" });
+          const description = document.getElementById?.("panel-description");
+          if (description) {
+            const { onReadMore } = readMoreOptions(scene, panel);
+            bindRichDescription(document, description, panel.description || "", onReadMore);
+          }
+        })
+        .catch((error) => reportPanelNotReady("[PanelTemplates]", error));
+
+      createVideoPlayer(scene.world, entity, panel.video, {
+        autoplay: panel.autoplay ?? false,
+        loop: panel.loop ?? false,
+        muted: panel.muted
+      });
+    }
+  },
+  contact: {
+    config: "/ui/contactPanel.json",
+    maxWidth: 2.0,
+    maxHeight: 2.5,
+    bind(scene, entity, panel) {
+      bindPanelContent(
+        entity,
+        { title: panel.title, description: panel.description || "" },
+        readMoreOptions(scene, panel)
+      );
+
+      const url = panel.url || scene.sceneData.portal;
+      if (url) {
+        bindExternalLink(entity, {
+          label: panel.cta || "Visit Website",
+          url
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Looks up a panel template by name.
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getPanelTemplate(name) {
+  return PANEL_TEMPLATES[name] || null;
+}
+
+/**
+ * Template a panel asks for itself: its `template` field, "slideshow" for panels with a
+ * `slideshow` array, or "video" for panels with a `video`. Returns null when the room's
+ * template should be used.
+ * @param {Object} panel
+ * @returns {Object|null}
+ */
+export function resolvePanelTemplate(panel) {
+  let name = panel.template || null;
+  if (!name && Array.isArray(panel.slideshow)) name = "slideshow";
+  if (!name && panel.video) name = "video";
+  return name ? getPanelTemplate(name) : null;
+}
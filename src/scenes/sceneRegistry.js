@@ -1,27 +1,218 @@
+import {
+  SHOWCASE_SCENE_IDS,
+  getShowcaseScene,
+  getTeleports,
+  onContentChange
+} from "../content/showcaseContent.js";
+import { logger } from "../utils/logger.js";
+
 export const SCENE_IDS = {
   MAIN_HALL: "main_hall",
   GALLERY: "gallery",
   INNOVATION_LAB: "innovation_lab",
   IMPACT_ANALYZER: "impact_analyzer",
   CREATOR_FORGE: "creator_forge",
-  CONTACT_PORTAL: "contact_portal"
+  CONTACT_PORTAL: "contact_portal",
+  ABOUT: "about",
+  PROJECTS: "projects",
+  PHOTOGRAPHY: "photography",
+  ART_GALLERY: "art_gallery",
+  CONTACT: "contact"
 };
 
-const SCENE_LOADERS = {
-  [SCENE_IDS.MAIN_HALL]: () => import("./MainHallScene.js").then((module) => module.MainHallScene),
-  [SCENE_IDS.GALLERY]: () => import("./GalleryScene.js").then((module) => module.GalleryScene),
-  [SCENE_IDS.INNOVATION_LAB]: () =>
-    import("./InnovationLabScene.js").then((module) => module.InnovationLabScene),
-  [SCENE_IDS.IMPACT_ANALYZER]: () =>
-    import("./ImpactAnalyzerScene.js").then((module) => module.ImpactAnalyzerScene),
-  [SCENE_IDS.CREATOR_FORGE]: () =>
-    import("./CreatorForgeScene.js").then((module) => module.CreatorForgeScene),
-  [SCENE_IDS.CONTACT_PORTAL]: () =>
-    import("./ContactPortalScene.js").then((module) => module.ContactPortalScene)
-};
+/** Scene ids may be used in URLs, so they are limited to letters, digits, `_` and `-` */
+const SCENE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/** @type {Map<string, { id: string, loader: Function, title: string, icon: string,
+ *   category: string, order: number, listed: boolean, transition?: string|Object }>} */
+const registeredScenes = new Map();
+
+const sceneClassCache = new Map();
+
+/**
+ * Registers a scene so it can be navigated to, deep linked and prefetched. Rooms shipped
+ * as separate modules call this when imported, before the showcase starts.
+ *
+ * Listed scenes get a portal in every room whose navigation sets `registeredScenes: true`
+ * (the main hall), sorted by `order` and then title, with `category` under the label.
+ *
+ * @param {string} id - unique scene id (letters, digits, `_` and `-`)
+ * @param {() => Promise<Function>} loader - resolves the scene class (a BaseScene subclass)
+ * @param {Object} metadata
+ * @param {string} metadata.title - display title (defaults to the id)
+ * @param {string} metadata.icon - short text or symbol shown before the title on portals
+ * @param {string} metadata.category - group name shown on portals
+ * @param {number} metadata.order - position among listed scenes (lower first)
+ * @param {boolean} metadata.listed - whether hub rooms show a portal to it (default: true)
+ * @param {string|Object} metadata.transition - transition used by its hub portal
+ * @returns {() => void} unregisters the scene
+ * @throws {Error} when the id is invalid or already registered, or the loader is not a function
+ */
+export function registerScene(id, loader, metadata = {}) {
+  if (typeof id !== "string" || !SCENE_ID_PATTERN.test(id)) {
+    throw new Error(`[SceneRegistry] Invalid scene id "${id}"`);
+  }
+  if (registeredScenes.has(id)) {
+    throw new Error(`[SceneRegistry] Scene "${id}" is already registered`);
+  }
+  if (typeof loader !== "function") {
+    throw new Error(`[SceneRegistry] Scene "${id}" needs a loader function`);
+  }
+
+  registeredScenes.set(id, {
+    title: id,
+    icon: "",
+    category: "",
+    order: Number.MAX_SAFE_INTEGER,
+    listed: true,
+    ...metadata,
+    id,
+    loader
+  });
+  logger.debug(`[SceneRegistry] Registered scene "${id}"`);
+
+  return () => unregisterScene(id);
+}
+
+/**
+ * Removes a registered scene and forgets its cached class.
+ * @param {string} id
+ * @returns {boolean} whether a scene was removed
+ */
+export function unregisterScene(id) {
+  sceneClassCache.delete(id);
+  return registeredScenes.delete(id);
+}
+
+/**
+ * @param {string} sceneId
+ * @returns {Object|null} the scene's registration (metadata plus `id` and `loader`)
+ */
+export function getRegisteredScene(sceneId) {
+  return registeredScenes.get(sceneId) || null;
+}
+
+/**
+ * Registered scenes in portal order (`order`, then title).
+ * @param {{ listedOnly?: boolean, category?: string }} filter
+ * @returns {Array<Object>}
+ */
+export function listScenes({ listedOnly = false, category } = {}) {
+  return [...registeredScenes.values()]
+    .filter((scene) => !listedOnly || scene.listed)
+    .filter((scene) => category === undefined || scene.category === category)
+    .sort((a, b) => a.order - b.order || a.title.localeCompare(b.title));
+}
 
 export function getSceneLoader(sceneId) {
-  return SCENE_LOADERS[sceneId];
+  return registeredScenes.get(sceneId)?.loader;
+}
+
+/**
+ * Display title of a registered scene, falling back to its id.
+ * @param {string} sceneId
+ * @returns {string}
+ */
+export function getSceneTitle(sceneId) {
+  return registeredScenes.get(sceneId)?.title || sceneId;
 }
 
+/**
+ * Navigation targets of a room: the teleports declared in showcaseScenes.json plus, when
+ * its navigation sets `registeredScenes: true`, one teleport per other listed scene.
+ * @param {string} sceneId
+ * @returns {Array<{ id: string, label: string, target: string, hidden?: boolean,
+ *   transition?: string|Object, subtitle?: string }>}
+ */
+export function getSceneTeleports(sceneId) {
+  const teleports = getTeleports(sceneId);
+  if (!getShowcaseScene(sceneId)?.navigation?.registeredScenes) return teleports;
+
+  const declaredTargets = new Set(teleports.map((teleport) => teleport.target));
+  const generated = listScenes({ listedOnly: true })
+    .filter((scene) => scene.id !== sceneId && !declaredTargets.has(scene.id))
+    .map((scene) => ({
+      id: `tp_${scene.id}`,
+      label: scene.icon ? `${scene.icon} ${scene.title}` : scene.title,
+      target: scene.id,
+      transition: scene.transition,
+      subtitle: scene.category
+    }));
+
+  return [...teleports, ...generated];
+}
+
+/**
+ * Resolves the scene class for an id, caching the result so navigation reuses modules
+ * that were prefetched earlier. Failed loads are evicted so they can be retried.
+ * @param {string} sceneId
+ * @returns {Promise<Function|null>}
+ */
+export function loadSceneClass(sceneId) {
+  const loader = getSceneLoader(sceneId);
+  if (!loader) return Promise.resolve(null);
+
+  if (!sceneClassCache.has(sceneId)) {
+    const pending = loader().catch((error) => {
+      sceneClassCache.delete(sceneId);
+      throw error;
+    });
+    sceneClassCache.set(sceneId, pending);
+  }
+  return sceneClassCache.get(sceneId);
+}
+
+const loadRoomScene = () => import("./RoomScene.js").then((module) => module.RoomScene);
+
+// Rooms whose panels come from their own content file; every other room declared in
+// showcaseScenes.json is rendered by the generic RoomScene
+const CONTENT_SCENE_LOADERS = {
+  [SCENE_IDS.ABOUT]: () => import("./AboutScene.js").then((module) => module.AboutScene),
+  [SCENE_IDS.PROJECTS]: () => import("./ProjectsScene.js").then((module) => module.ProjectsScene),
+  [SCENE_IDS.PHOTOGRAPHY]: () => import("./PhotoScene.js").then((module) => module.PhotoScene),
+  [SCENE_IDS.ART_GALLERY]: () =>
+    import("./ArtGalleryScene.js").then((module) => module.ArtGalleryScene),
+  [SCENE_IDS.CONTACT]: () => import("./ContactScene.js").then((module) => module.ContactScene)
+};
+
+/** Ids registered from showcaseScenes.json, kept in sync when the content is replaced */
+const contentSceneIds = new Set();
+
+function contentSceneMetadata(sceneId) {
+  const { title, menu } = getShowcaseScene(sceneId);
+  return { ...menu, title: title || sceneId, listed: Boolean(menu) };
+}
+
+// Rooms declare their hub portal with a `menu` block ({ order, icon, category, transition });
+// rooms without one are only reached through teleports
+function registerContentScenes() {
+  contentSceneIds.forEach((sceneId) => {
+    if (!SHOWCASE_SCENE_IDS.includes(sceneId)) {
+      unregisterScene(sceneId);
+      contentSceneIds.delete(sceneId);
+    }
+  });
+
+  SHOWCASE_SCENE_IDS.forEach((sceneId) => {
+    if (contentSceneIds.has(sceneId)) {
+      // Re-registering picks up changed titles and menu blocks
+      unregisterScene(sceneId);
+    } else if (registeredScenes.has(sceneId)) {
+      logger.warn(`[SceneRegistry] Room "${sceneId}" is already registered by code, skipping`);
+      return;
+    }
+    registerScene(
+      sceneId,
+      CONTENT_SCENE_LOADERS[sceneId] || loadRoomScene,
+      contentSceneMetadata(sceneId)
+    );
+    contentSceneIds.add(sceneId);
+  });
+}
 
+registerContentScenes();
+onContentChange(({ files }) => {
+  if (files.includes("showcaseScenes")) {
+    registerContentScenes();
+  }
+});
@@ -1,13 +1,9 @@
 import { XRRenderer } from "./XRRenderer.js";
 import { SceneManager } from "./SceneManager.js";
-// eslint-disable-next-line
-import portfolioData from "../content/portfolio.json" assert { type: "json" };
-// eslint-disable-next-line
-import artData from "../content/art.json" assert { type: "json" };
-// eslint-disable-next-line
-import projectsData from "../content/projects.json" assert { type: "json" };
-// eslint-disable-next-line
-import photosData from "../content/photos.json" assert { type: "json" };
+import portfolioData from "../content/portfolio.json" with { type: "json" };
+import artData from "../content/art.json" with { type: "json" };
+import projectsData from "../content/projects.json" with { type: "json" };
+import photosData from "../content/photos.json" with { type: "json" };
 
 /**
  * Thin orchestrator that wires together renderer, scene manager, and content data.
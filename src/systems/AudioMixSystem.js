@@ -0,0 +1,72 @@
+import { AudioSource, AudioUtils, createComponent, createSystem, Types } from "@iwsdk/core";
+import { getSetting, onSettingChange } from "../utils/settings.js";
+
+/** Volume channels; the master volume scales both */
+export const Channel = {
+  Music: "music",
+  Effects: "effects"
+};
+
+/** Setting holding each channel's volume (see SETTINGS.DEFAULTS) */
+const CHANNEL_SETTINGS = {
+  [Channel.Music]: "musicVolume",
+  [Channel.Effects]: "effectsVolume"
+};
+
+/**
+ * Puts an entity's AudioSource on a channel: its volume becomes `volume` times the
+ * channel's volume, following the volume settings.
+ */
+export const AudioChannel = createComponent("AudioChannel", {
+  channel: { type: Types.Enum, enum: Channel, default: Channel.Effects },
+  /** The source's own volume before the channel and master volumes apply */
+  volume: { type: Types.Float32, default: 1 }
+});
+
+/**
+ * @param {string} channel - a Channel value
+ * @returns {number} the channel's volume after the master volume, 0 to 1
+ */
+export function getChannelVolume(channel) {
+  return getSetting("masterVolume") * getSetting(CHANNEL_SETTINGS[channel]);
+}
+
+/**
+ * Applies the master/music/effects volume model: sets the AudioSource volume of every
+ * AudioChannel entity when it appears and whenever a volume setting changes. Fades run by
+ * the AudioSystem ramp toward that volume.
+ */
+export class AudioMixSystem extends createSystem({
+  sources: { required: [AudioSource, AudioChannel] }
+}) {
+  init() {
+    this.queries.sources.subscribe("qualify", (entity) => this.applyVolume(entity));
+    this.unsubscribe = onSettingChange(({ key }) => {
+      if (key === "masterVolume" || Object.values(CHANNEL_SETTINGS).includes(key)) {
+        this.queries.sources.entities.forEach((entity) => this.applyVolume(entity));
+      }
+    });
+  }
+
+  applyVolume(entity) {
+    const channel = entity.getValue(AudioChannel, "channel");
+    const volume = entity.getValue(AudioChannel, "volume");
+    AudioUtils.setVolume(entity, volume * getChannelVolume(channel));
+  }
+
+  destroy() {
+    this.unsubscribe?.();
+  }
+}
+
+/**
+ * Returns the world's AudioMixSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {AudioMixSystem}
+ */
+export function getAudioMixSystem(world) {
+  if (!world.getSystem(AudioMixSystem)) {
+    world.registerSystem(AudioMixSystem);
+  }
+  return world.getSystem(AudioMixSystem);
+}
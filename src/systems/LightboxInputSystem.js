@@ -0,0 +1,130 @@
+import { createSystem, InputComponent, SlideSystem, TeleportSystem, TurnSystem } from "@iwsdk/core";
+import { LIGHTBOX } from "../constants/sceneConstants.js";
+import { isInputBlocked } from "../utils/inputLock.js";
+import { logger } from "../utils/logger.js";
+
+/** Locomotion systems that also read the thumbsticks and are paused while a lightbox is open */
+const LOCOMOTION_SYSTEMS = [SlideSystem, TurnSystem, TeleportSystem];
+
+const applyDeadzone = (value) => (Math.abs(value) < LIGHTBOX.DEADZONE ? 0 : value);
+
+/**
+ * Maps controller input onto the open lightbox:
+ * - right thumbstick up/down zooms; left/right flicks change image while not zoomed
+ * - left thumbstick pans the zoomed image
+ * - holding both grips and moving the controllers apart or together pinch-zooms
+ * - B or Y closes the lightbox
+ */
+export class LightboxInputSystem extends createSystem({}, {}) {
+  init() {
+    this.target = null;
+    this.pausedSystems = [];
+    this.pinchDistance = null;
+  }
+
+  /**
+   * Directs controller input to a lightbox, or releases it when `lightbox` is null.
+   * Locomotion is paused while a lightbox holds the input.
+   * @param {ReturnType<import("../components/Lightbox.js").createLightbox>|null} lightbox
+   */
+  setTarget(lightbox) {
+    this.target = lightbox;
+    this.pinchDistance = null;
+
+    if (lightbox) {
+      this.pauseLocomotion();
+    } else {
+      this.resumeLocomotion();
+    }
+  }
+
+  pauseLocomotion() {
+    if (this.pausedSystems.length > 0) return;
+
+    LOCOMOTION_SYSTEMS.forEach((SystemClass) => {
+      const system = this.world.getSystem(SystemClass);
+      if (system && !system.isPaused) {
+        system.stop();
+        this.pausedSystems.push(system);
+      }
+    });
+    logger.debug(`[LightboxInput] Paused ${this.pausedSystems.length} locomotion systems`);
+  }
+
+  resumeLocomotion() {
+    this.pausedSystems.forEach((system) => system.play());
+    this.pausedSystems = [];
+  }
+
+  update(delta) {
+    const lightbox = this.target;
+    if (!lightbox?.isOpen() || isInputBlocked()) return;
+
+    const { left, right } = this.input.gamepads;
+
+    if (
+      right?.getButtonDown(InputComponent.B_Button) ||
+      left?.getButtonDown(InputComponent.Y_Button)
+    ) {
+      lightbox.close();
+      return;
+    }
+
+    if (this.updatePinch(lightbox, left, right)) return;
+
+    const zoomAxes = right?.getAxesValues(InputComponent.Thumbstick);
+    const zoomInput = applyDeadzone(-(zoomAxes?.y || 0));
+    if (zoomInput !== 0) {
+      lightbox.zoomBy(Math.pow(LIGHTBOX.ZOOM_SPEED, zoomInput * delta));
+    }
+
+    if (lightbox.isZoomed()) {
+      const panAxes = left?.getAxesValues(InputComponent.Thumbstick);
+      const panX = applyDeadzone(panAxes?.x || 0);
+      const panY = applyDeadzone(-(panAxes?.y || 0));
+      if (panX !== 0 || panY !== 0) {
+        lightbox.panBy(panX * LIGHTBOX.PAN_SPEED * delta, panY * LIGHTBOX.PAN_SPEED * delta);
+      }
+    } else if (right?.getAxesEnteringLeft(InputComponent.Thumbstick)) {
+      lightbox.prev();
+    } else if (right?.getAxesEnteringRight(InputComponent.Thumbstick)) {
+      lightbox.next();
+    }
+  }
+
+  /**
+   * Two-handed pinch: zooms by the change in distance between the controllers while both
+   * grips are held.
+   * @returns {boolean} whether a pinch is in progress
+   */
+  updatePinch(lightbox, left, right) {
+    const pinching =
+      left?.getButtonPressed(InputComponent.Squeeze) &&
+      right?.getButtonPressed(InputComponent.Squeeze);
+    if (!pinching) {
+      this.pinchDistance = null;
+      return false;
+    }
+
+    const distance = this.player.gripSpaces.left.position.distanceTo(
+      this.player.gripSpaces.right.position
+    );
+    if (this.pinchDistance && distance > 0) {
+      lightbox.zoomBy(distance / this.pinchDistance);
+    }
+    this.pinchDistance = distance;
+    return true;
+  }
+}
+
+/**
+ * Returns the world's LightboxInputSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {LightboxInputSystem}
+ */
+export function getLightboxInputSystem(world) {
+  if (!world.getSystem(LightboxInputSystem)) {
+    world.registerSystem(LightboxInputSystem);
+  }
+  return world.getSystem(LightboxInputSystem);
+}
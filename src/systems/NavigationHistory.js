@@ -0,0 +1,88 @@
+/**
+ * Bounded browser-style history of visited scene ids.
+ * Entries after the cursor form the forward stack and are discarded on push.
+ */
+export class NavigationHistory {
+  /**
+   * @param {number} maxDepth - maximum number of entries kept (oldest are dropped first)
+   */
+  constructor(maxDepth) {
+    this.maxDepth = Math.max(1, maxDepth);
+    this.entries = [];
+    this.index = -1;
+  }
+
+  /**
+   * @returns {string|null} the scene id at the cursor
+   */
+  get current() {
+    return this.entries[this.index] ?? null;
+  }
+
+  /**
+   * Adds a scene after the cursor, dropping any forward entries.
+   * @param {string} sceneId
+   */
+  push(sceneId) {
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push(sceneId);
+    if (this.entries.length > this.maxDepth) {
+      this.entries.splice(0, this.entries.length - this.maxDepth);
+    }
+    this.index = this.entries.length - 1;
+  }
+
+  /**
+   * Swaps the entry at the cursor without growing the history.
+   * @param {string} sceneId
+   */
+  replace(sceneId) {
+    if (this.index < 0) {
+      this.push(sceneId);
+      return;
+    }
+    this.entries[this.index] = sceneId;
+  }
+
+  /**
+   * @returns {string|null} the scene id `back()` would move to
+   */
+  peekBack() {
+    return this.index > 0 ? this.entries[this.index - 1] : null;
+  }
+
+  /**
+   * @returns {string|null} the scene id `forward()` would move to
+   */
+  peekForward() {
+    return this.index < this.entries.length - 1 ? this.entries[this.index + 1] : null;
+  }
+
+  canGoBack() {
+    return this.peekBack() !== null;
+  }
+
+  canGoForward() {
+    return this.peekForward() !== null;
+  }
+
+  /**
+   * Moves the cursor one entry back.
+   * @returns {string|null} the new current scene id, or null if already at the start
+   */
+  back() {
+    if (!this.canGoBack()) return null;
+    this.index--;
+    return this.current;
+  }
+
+  /**
+   * Moves the cursor one entry forward.
+   * @returns {string|null} the new current scene id, or null if already at the end
+   */
+  forward() {
+    if (!this.canGoForward()) return null;
+    this.index++;
+    return this.current;
+  }
+}
@@ -0,0 +1,142 @@
+import { createSystem, PanelDocument, PanelUI } from "@iwsdk/core";
+import { PANEL_UI } from "../constants/sceneConstants.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Waiters keyed by entity. Entities are pooled and reused, so each waiter remembers the
+ * generation it was created for and only settles for that incarnation.
+ * @type {Map<import("@iwsdk/core").Entity, Set<{ generation: number, resolve: Function, reject: Function }>>}
+ */
+const waiters = new Map();
+
+/**
+ * Rejection reason for {@link whenPanelReady}.
+ */
+export class PanelReadyError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ entityIndex: number, reason: "timeout" | "destroyed" }} details
+   */
+  constructor(message, { entityIndex, reason }) {
+    super(message);
+    this.name = "PanelReadyError";
+    this.entityIndex = entityIndex;
+    this.reason = reason;
+  }
+}
+
+function settle(entity, settleWaiter) {
+  const entityWaiters = waiters.get(entity);
+  if (!entityWaiters) return;
+
+  entityWaiters.forEach((waiter) => {
+    if (waiter.generation !== entity.generation) return;
+    entityWaiters.delete(waiter);
+    settleWaiter(waiter);
+  });
+  if (entityWaiters.size === 0) {
+    waiters.delete(entity);
+  }
+}
+
+function removeWaiter(entity, waiter) {
+  const entityWaiters = waiters.get(entity);
+  entityWaiters?.delete(waiter);
+  if (entityWaiters?.size === 0) {
+    waiters.delete(entity);
+  }
+}
+
+/**
+ * Settles {@link whenPanelReady} promises as PanelUISystem attaches documents to panels:
+ * resolves when a panel qualifies for `[PanelUI, PanelDocument]`, rejects when a panel
+ * entity is destroyed before its document loaded.
+ */
+export class PanelReadySystem extends createSystem({
+  pendingPanels: { required: [PanelUI], excluded: [PanelDocument] },
+  readyPanels: { required: [PanelUI, PanelDocument] }
+}) {
+  init() {
+    this.queries.readyPanels.subscribe("qualify", (entity) => {
+      const document = PanelDocument.data.document[entity.index];
+      settle(entity, (waiter) => waiter.resolve(document));
+    });
+
+    this.queries.pendingPanels.subscribe("disqualify", (entity) => {
+      if (entity.active) return;
+      settle(entity, (waiter) =>
+        waiter.reject(
+          new PanelReadyError(`Panel entity ${entity.index} was destroyed before it loaded`, {
+            entityIndex: entity.index,
+            reason: "destroyed"
+          })
+        )
+      );
+    });
+  }
+}
+
+/**
+ * Registers the PanelReadySystem; call once after the world is created.
+ * @param {import("@iwsdk/core").World} world
+ */
+export function registerPanelReadySystem(world) {
+  if (!world.getSystem(PanelReadySystem)) {
+    world.registerSystem(PanelReadySystem);
+  }
+}
+
+/**
+ * Waits for a PanelUI entity's UIKit document to be loaded.
+ *
+ * @param {import("@iwsdk/core").Entity} entity - entity with a PanelUI component
+ * @param {{ timeout?: number }} options - milliseconds before rejecting
+ * @returns {Promise<Object>} the panel's UIKitDocument
+ */
+export function whenPanelReady(entity, { timeout = PANEL_UI.READY_TIMEOUT_MS } = {}) {
+  const document = PanelDocument.data.document[entity.index];
+  if (entity.active && entity.hasComponent(PanelDocument) && document) {
+    return Promise.resolve(document);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { generation: entity.generation };
+    const timer = setTimeout(() => {
+      removeWaiter(entity, waiter);
+      reject(
+        new PanelReadyError(
+          `Panel document for entity ${entity.index} not ready after ${timeout}ms`,
+          { entityIndex: entity.index, reason: "timeout" }
+        )
+      );
+    }, timeout);
+
+    waiter.resolve = (readyDocument) => {
+      clearTimeout(timer);
+      resolve(readyDocument);
+    };
+    waiter.reject = (error) => {
+      clearTimeout(timer);
+      reject(error);
+    };
+
+    if (!waiters.has(entity)) {
+      waiters.set(entity, new Set());
+    }
+    waiters.get(entity).add(waiter);
+  });
+}
+
+/**
+ * Logs a failed {@link whenPanelReady}; panels destroyed while loading (e.g. the user left
+ * the room) are expected and only logged at debug level.
+ * @param {string} tag - log prefix such as "[PanelContent]"
+ * @param {Error} error
+ */
+export function reportPanelNotReady(tag, error) {
+  if (error instanceof PanelReadyError && error.reason === "destroyed") {
+    logger.debug(`${tag} ${error.message}`);
+  } else {
+    logger.warn(`${tag} ${error.message}`);
+  }
+}
@@ -0,0 +1,83 @@
+import {
+  AudioSource,
+  AudioUtils,
+  createComponent,
+  createSystem,
+  Pressed,
+  Types,
+  Vector3
+} from "@iwsdk/core";
+
+/**
+ * A robot that keeps turning to face the visitor. With `pointing` set, its `pointer` child
+ * (an Object3D whose +Z is its tip) aims at `pointAt` in world space.
+ */
+export const Robot = createComponent("Robot", {
+  pointer: { type: Types.Object, default: undefined },
+  pointAt: { type: Types.Vec3, default: [0, 0, 0] },
+  pointing: { type: Types.Boolean, default: false }
+});
+
+/**
+ * Turns robots toward the visitor's head (around the vertical axis only) and aims their
+ * pointers. Pressing a robot calls its press handler (see `setPressHandler`), or plays its
+ * AudioSource when it has no handler.
+ */
+export class RobotSystem extends createSystem({
+  robot: { required: [Robot] },
+  robotClicked: { required: [Robot, Pressed] }
+}) {
+  init() {
+    this.lookAtTarget = new Vector3();
+    this.vec3 = new Vector3();
+    this.pressHandlers = new Map();
+    this.queries.robotClicked.subscribe("qualify", (entity) => {
+      const handler = this.pressHandlers.get(entity);
+      if (handler) {
+        handler();
+      } else if (entity.hasComponent(AudioSource)) {
+        AudioUtils.play(entity);
+      }
+    });
+  }
+
+  /**
+   * @param {Entity} entity - robot entity
+   * @param {Function|null} handler - called when the robot is pressed; null removes it
+   */
+  setPressHandler(entity, handler) {
+    if (handler) {
+      this.pressHandlers.set(entity, handler);
+    } else {
+      this.pressHandlers.delete(entity);
+    }
+  }
+
+  update() {
+    this.queries.robot.entities.forEach((entity) => {
+      this.player.head.getWorldPosition(this.lookAtTarget);
+      const spinnerObject = entity.object3D;
+      spinnerObject.getWorldPosition(this.vec3);
+      this.lookAtTarget.y = this.vec3.y;
+      spinnerObject.lookAt(this.lookAtTarget);
+
+      const pointer = entity.getValue(Robot, "pointer");
+      if (pointer && entity.getValue(Robot, "pointing")) {
+        const [x, y, z] = entity.getVectorView(Robot, "pointAt");
+        pointer.lookAt(x, y, z);
+      }
+    });
+  }
+}
+
+/**
+ * Returns the world's RobotSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {RobotSystem}
+ */
+export function getRobotSystem(world) {
+  if (!world.getSystem(RobotSystem)) {
+    world.registerSystem(RobotSystem);
+  }
+  return world.getSystem(RobotSystem);
+}
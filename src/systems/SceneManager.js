@@ -1,72 +1,396 @@
+import { NAVIGATION } from "../constants/sceneConstants.js";
+import { getSceneLoader, loadSceneClass } from "../scenes/sceneRegistry.js";
+import { safeDynamicImport, handleSceneLoadError } from "../utils/errorHandler.js";
+import { blockInput, releaseInput } from "../utils/inputLock.js";
+import { NavigationHistory } from "./NavigationHistory.js";
+import { TourPlayer } from "./TourPlayer.js";
+import { TransitionManager, resolveTransition } from "./TransitionManager.js";
+
+const TRANSITION_INPUT_LOCK = "scene-transition";
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
 /**
  * Coordinates scene lifecycle: creation, initialization, and disposal.
+ * Also keeps the history of visited scene ids used for back/forward navigation.
+ *
+ * Scene loads run one at a time. A request made while another load is running is queued;
+ * a newer request supersedes a queued one (which then resolves with `null`), and a load
+ * still in its preload phase is abandoned in favour of the newer request.
+ *
+ * Lifecycle per load: `preload()` (previous scene still visible) → previous `onExit()` and
+ * `dispose()` → `init()` → `onEnter()`. Every hook may return a promise. The swap is wrapped
+ * in a visual transition (see TransitionManager) during which UI input is blocked.
  */
 export class SceneManager {
   /**
    * @param {import("@iwsdk/core").World} world
+   * @param {{ maxHistoryDepth?: number }} options
    */
-  constructor(world) {
+  constructor(world, { maxHistoryDepth = NAVIGATION.MAX_HISTORY_DEPTH } = {}) {
     this.world = world;
     this.activeScene = null;
-    this.isLoading = false; // Lock to prevent concurrent scene loads
+    this.isLoading = false;
+    this.history = new NavigationHistory(maxHistoryDepth);
+    this.listeners = new Map();
+    this.pendingJob = null;
+    this.idlePromise = Promise.resolve();
+    this.transitions = new TransitionManager(world);
+    this.activeTour = null;
+  }
+
+  /**
+   * Subscribes to a scene manager event.
+   * - `navigate` – `{ sceneId, action }` after the history changed; action is push, replace,
+   *   back or forward
+   * - `loadstart` – `{ sceneId, sceneName }` before the new scene's preload
+   * - `exit` – `{ scene }` after the previous scene's onExit, before it is disposed
+   * - `init` – `{ scene }` after the new scene's init
+   * - `enter` – `{ scene }` once the new scene is active and entered
+   * - `superseded` – `{ sceneId, sceneName }` when a request was replaced by a newer one (both
+   *   null for requests superseded while still queued)
+   * - `error` – `{ sceneId, sceneName, error }` when a load failed
+   * - `idle` – `{ scene }` when no load is running or queued
+   * - `tour` – `{ tour }` when playTour started a tour (a TourPlayer)
+   * @param {string} eventName
+   * @param {(detail: Object) => void} handler
+   * @returns {() => void} unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(handler);
+    return () => this.listeners.get(eventName)?.delete(handler);
+  }
+
+  /**
+   * Resolves with the detail of the next occurrence of an event.
+   * @param {string} eventName
+   * @returns {Promise<Object>}
+   */
+  once(eventName) {
+    return new Promise((resolve) => {
+      const unsubscribe = this.on(eventName, (detail) => {
+        unsubscribe();
+        resolve(detail);
+      });
+    });
   }
 
   /**
-   * Replaces the current scene with a new one and calls its init hook.
+   * Resolves once no scene load is running or queued.
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    return this.idlePromise;
+  }
+
+  _emit(eventName, detail) {
+    this.listeners.get(eventName)?.forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`[SceneManager] Error in "${eventName}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Loads a registered scene by id and records it in the history.
+   * @param {string} sceneId
+   * @param {{ replace?: boolean, transition?: string|Object }} options - `replace` swaps the
+   *   current history entry instead of pushing; `transition` names or configures the transition
+   * @returns {Promise<import("../scenes/BaseScene.js").BaseScene|null>} the entered scene, or
+   *   null when the request was superseded or the scene is unknown
+   */
+  navigate(sceneId, { replace = false, transition } = {}) {
+    const action = replace ? "replace" : "push";
+    return this._navigateTo(
+      () => sceneId,
+      action,
+      () => (replace ? this.history.replace(sceneId) : this.history.push(sceneId)),
+      transition
+    );
+  }
+
+  /**
+   * Returns to the previous scene in the history.
+   * @param {{ transition?: string|Object }} options
+   * @returns {Promise<import("../scenes/BaseScene.js").BaseScene|null>} null when there is
+   *   nothing to go back to
+   */
+  back({ transition } = {}) {
+    return this._navigateTo(
+      () => this.history.peekBack(),
+      "back",
+      () => this.history.back(),
+      transition
+    );
+  }
+
+  /**
+   * Re-visits the scene that was left with `back()`.
+   * @param {{ transition?: string|Object }} options
+   * @returns {Promise<import("../scenes/BaseScene.js").BaseScene|null>} null when there is
+   *   nothing to go forward to
+   */
+  forward({ transition } = {}) {
+    return this._navigateTo(
+      () => this.history.peekForward(),
+      "forward",
+      () => this.history.forward(),
+      transition
+    );
+  }
+
+  /**
+   * Re-creates the active scene in place, e.g. after its content changed. The history is
+   * left untouched and the scene is told (`data.reload`) to keep the viewer where they are.
+   * @param {{ transition?: string|Object }} options - defaults to an instant swap
+   * @returns {Promise<import("../scenes/BaseScene.js").BaseScene|null>} null when there is
+   *   no active scene, it is no longer registered, or a queued navigation will render anyway
+   */
+  reload({ transition = "none" } = {}) {
+    // Queueing would supersede that navigation; it reads the new content when it runs
+    if (this.pendingJob) return Promise.resolve(null);
+
+    return this._enqueue(async () => {
+      const sceneId = this.activeScene?.sceneId;
+      if (!sceneId) return null;
+
+      const SceneClass = getSceneLoader(sceneId) ? await loadSceneClass(sceneId) : null;
+      if (!SceneClass) {
+        console.warn(`[SceneManager] Cannot reload "${sceneId}": scene is no longer registered`);
+        return null;
+      }
+
+      return this._performLoad(SceneClass, { sceneId, reload: true }, { transition });
+    });
+  }
+
+  /**
+   * Plays a guided tour, ending the one already playing.
+   * @param {string} tourId - key of the tour in tours.json
+   * @param {Object} tour - the tour's entry in tours.json
+   * @returns {TourPlayer}
+   */
+  playTour(tourId, tour) {
+    this.activeTour?.exit();
+
+    const player = new TourPlayer(this, tourId, tour);
+    this.activeTour = player;
+    player.on("end", () => {
+      if (this.activeTour === player) this.activeTour = null;
+    });
+    this._emit("tour", { tour: player });
+    player.start();
+    return player;
+  }
+
+  /**
+   * Queues a navigation. The target is resolved when the job runs (so back/forward apply to
+   * the history as it is then) and the history is only committed once the new scene has
+   * preloaded and is about to replace the current one.
+   */
+  _navigateTo(resolveTarget, action, commitHistory, transition) {
+    return this._enqueue(async () => {
+      const sceneId = resolveTarget();
+      if (!sceneId) return null;
+
+      if (!getSceneLoader(sceneId)) {
+        console.warn(`[SceneManager] No loader registered for "${sceneId}"`);
+        return null;
+      }
+
+      let SceneClass;
+      try {
+        SceneClass = await safeDynamicImport(() => loadSceneClass(sceneId), `scene "${sceneId}"`);
+      } catch (error) {
+        handleSceneLoadError(sceneId, error);
+        this._emit("error", { sceneId, sceneName: null, error });
+        throw error;
+      }
+
+      if (!SceneClass) {
+        console.warn(`[SceneManager] Loader for "${sceneId}" returned empty module`);
+        return null;
+      }
+
+      return this._performLoad(
+        SceneClass,
+        { sceneId },
+        {
+          transition,
+          onCommit: () => {
+            commitHistory();
+            this._emit("navigate", { sceneId, action });
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Replaces the current scene with a new one and runs its lifecycle hooks.
    * @param {typeof import("../scenes/BaseScene.js").BaseScene} SceneClass
    * @param {unknown} data
+   * @param {{ transition?: string|Object }} options
+   * @returns {Promise<import("../scenes/BaseScene.js").BaseScene|null>} the entered scene, or
+   *   null when a newer request superseded this one
    */
-  loadScene(SceneClass, data = null) {
-    const sceneName = SceneClass.name || "UnknownScene";
+  loadScene(SceneClass, data = null, { transition } = {}) {
+    return this._enqueue(() => this._performLoad(SceneClass, data, { transition }));
+  }
 
-    // Prevent concurrent scene loads
-    if (this.isLoading) {
-      console.warn(`[SceneManager] Scene load already in progress, ignoring request for: ${sceneName}`);
-      return;
-    }
+  /**
+   * Runs jobs one at a time. A job queued behind a running load is replaced by any newer job.
+   * @param {() => Promise<unknown>} run
+   */
+  _enqueue(run) {
+    return new Promise((resolve, reject) => {
+      const job = { run, resolve, reject };
+
+      if (this.pendingJob) {
+        this.pendingJob.resolve(null);
+        this._emit("superseded", { sceneId: null, sceneName: null });
+      }
+      this.pendingJob = job;
 
-    console.log(`[SceneManager] Loading scene: ${sceneName}`);
+      if (!this.isLoading) {
+        this.idlePromise = this._drainQueue();
+      }
+    });
+  }
+
+  async _drainQueue() {
     this.isLoading = true;
 
-    // Dispose existing scene with enhanced logging
-    if (this.activeScene) {
-      const oldSceneName = this.activeScene.constructor.name || "UnknownScene";
-      console.log(`[SceneManager] Disposing previous scene: ${oldSceneName}`);
+    while (this.pendingJob) {
+      const job = this.pendingJob;
+      this.pendingJob = null;
 
-      if (this.activeScene.dispose) {
-        this.activeScene.dispose();
+      try {
+        job.resolve(await job.run());
+      } catch (error) {
+        job.reject(error);
       }
+    }
 
-      // Force cleanup - wait a frame for disposal to complete
-      this.activeScene = null;
+    this.isLoading = false;
+    this._emit("idle", { scene: this.activeScene });
+  }
 
-      // Wait for next frame to ensure cleanup is complete
-      requestAnimationFrame(() => {
-        this._createNewScene(SceneClass, data, sceneName);
-      });
-    } else {
-      // No previous scene, create immediately
-      this._createNewScene(SceneClass, data, sceneName);
+  /**
+   * @param {Function} SceneClass
+   * @param {unknown} data
+   * @param {{ onCommit?: () => void, transition?: string|Object }} options
+   *   onCommit is invoked once the load is certain to replace the scene
+   */
+  async _performLoad(SceneClass, data, { onCommit = () => {}, transition } = {}) {
+    const sceneName = SceneClass.name || "UnknownScene";
+    const sceneId = data?.sceneId || null;
+
+    console.log(`[SceneManager] Loading scene: ${sceneName}${sceneId ? ` (${sceneId})` : ""}`);
+    this._emit("loadstart", { sceneId, sceneName });
+
+    let scene = null;
+    try {
+      scene = new SceneClass(this.world, this, data);
+
+      // Preload while the previous scene is still visible
+      await scene.preload?.();
+
+      // A newer request arrived while preloading; let it replace the current scene instead
+      if (this.pendingJob) {
+        console.log(`[SceneManager] Load of ${sceneName} superseded by a newer request`);
+        this._emit("superseded", { sceneId, sceneName });
+        this._discardScene(scene);
+        return null;
+      }
+
+      onCommit();
+
+      const transitionSpec = resolveTransition(transition);
+      blockInput(TRANSITION_INPUT_LOCK);
+      try {
+        await this._swapScenes(scene, transitionSpec);
+      } finally {
+        releaseInput(TRANSITION_INPUT_LOCK);
+      }
+
+      await scene.onEnter?.();
+      console.log(`[SceneManager] Scene entered: ${sceneName}`);
+      this._emit("enter", { scene });
+
+      return scene;
+    } catch (error) {
+      if (scene && scene !== this.activeScene) {
+        this._discardScene(scene);
+      }
+      this.transitions.reset();
+      handleSceneLoadError(sceneId || sceneName, error);
+      this._emit("error", { sceneId, sceneName, error });
+      throw error;
     }
   }
 
-  _createNewScene(SceneClass, data, sceneName) {
-    console.log(`[SceneManager] Creating new scene: ${sceneName}`);
+  /**
+   * Disposes a scene that was built but never became the active one, releasing whatever its
+   * constructor and preload created.
+   */
+  _discardScene(scene) {
+    try {
+      scene.dispose?.();
+    } catch (error) {
+      console.warn(`[SceneManager] Could not dispose abandoned ${scene.constructor.name}:`, error);
+    }
+  }
 
-    // Create new scene
-    this.activeScene = new SceneClass(this.world, this, data);
+  /**
+   * Replaces the active scene with `scene`, wrapping dispose/init in the transition.
+   * Crossfades initialize the new scene before the old one is disposed; other transitions
+   * cover the view, swap, then reveal it.
+   */
+  async _swapScenes(scene, transitionSpec) {
+    const previous = this.activeScene;
+
+    if (!previous) {
+      this.activeScene = scene;
+      await scene.init?.();
+      this._emit("init", { scene });
+      return;
+    }
+
+    const oldSceneName = previous.constructor.name || "UnknownScene";
+    console.log(`[SceneManager] Exiting ${oldSceneName} with "${transitionSpec.type}" transition`);
 
-    // Initialize scene
-    if (this.activeScene.init) {
-      this.activeScene.init();
+    if (this.transitions.overlapsScenes(transitionSpec)) {
+      this.activeScene = scene;
+      await scene.init?.();
+      this._emit("init", { scene });
+
+      await previous.onExit?.();
+      this._emit("exit", { scene: previous });
+      await this.transitions.crossfade(transitionSpec, previous, scene);
+      previous.dispose?.();
+      return;
     }
 
-    console.log(`[SceneManager] Scene initialized: ${sceneName}`);
+    await this.transitions.cover(transitionSpec);
+
+    await previous.onExit?.();
+    this._emit("exit", { scene: previous });
+    previous.dispose?.();
+    this.activeScene = null;
+
+    // Give IWSDK a frame to process the removed entities before creating new ones
+    await nextFrame();
+
+    this.activeScene = scene;
+    await scene.init?.();
+    this._emit("init", { scene });
 
-    // Reset loading lock after a short delay to allow scene to fully initialize
-    setTimeout(() => {
-      this.isLoading = false;
-      console.log(`[SceneManager] Loading lock released for: ${sceneName}`);
-    }, 500);
+    await this.transitions.reveal(transitionSpec);
   }
 }
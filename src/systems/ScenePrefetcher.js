@@ -0,0 +1,201 @@
+import { AssetManager } from "@iwsdk/core";
+import * as THREE from "three";
+import { PREFETCH } from "../constants/sceneConstants.js";
+import { getShowcaseScene } from "../content/showcaseContent.js";
+import { getSceneTeleports, loadSceneClass } from "../scenes/sceneRegistry.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Lists every image a room's panels will request.
+ * @param {Object|null} sceneData
+ * @returns {string[]}
+ */
+export function collectSceneImages(sceneData) {
+  const images = new Set();
+  (sceneData?.panels || []).forEach((panel) => {
+    // Gallery and slideshow entries may be image URLs or { src, … } objects
+    const entries = [panel.thumbnails, panel.images, panel.slideshow].flatMap((list) => list || []);
+    [panel.image, ...entries]
+      .map((entry) => (typeof entry === "string" ? entry : entry?.src))
+      .filter(Boolean)
+      .forEach((src) => images.add(src));
+  });
+  return [...images];
+}
+
+/**
+ * Lists the GLTF models a room's model exhibits will load.
+ * @param {Object|null} sceneData
+ * @returns {string[]}
+ */
+export function collectSceneModels(sceneData) {
+  const models = (sceneData?.panels || []).map((panel) => panel.model?.src).filter(Boolean);
+  return [...new Set(models)];
+}
+
+// Safari has no requestIdleCallback; fall back to a short timeout that reports minimal idle time
+function requestIdle(callback, timeout) {
+  if (window.requestIdleCallback) {
+    return window.requestIdleCallback(callback, { timeout });
+  }
+  const deadline = { timeRemaining: () => PREFETCH.MIN_IDLE_MS, didTimeout: true };
+  return setTimeout(() => callback(deadline), 1);
+}
+
+function cancelIdle(handle) {
+  if (window.cancelIdleCallback) {
+    window.cancelIdleCallback(handle);
+  } else {
+    clearTimeout(handle);
+  }
+}
+
+/**
+ * Warms the scene modules, panel images and exhibit models of every room the active room
+ * teleports to, using idle time so the current room's frame rate is not affected.
+ *
+ * Images go through THREE.ImageLoader with THREE.Cache enabled, which is the same cache
+ * the UIKit image elements load from, so the next room's panels render without a refetch.
+ * Models go through the AssetManager, whose GLTF cache the model exhibits load from.
+ */
+export class ScenePrefetcher {
+  /**
+   * @param {import("./SceneManager.js").SceneManager} sceneManager
+   * @param {{ maxScenes?: number, maxImages?: number, maxModels?: number,
+   *   idleTimeout?: number }} budget - per room
+   */
+  constructor(
+    sceneManager,
+    {
+      maxScenes = PREFETCH.MAX_SCENES,
+      maxImages = PREFETCH.MAX_IMAGES,
+      maxModels = PREFETCH.MAX_MODELS,
+      idleTimeout = PREFETCH.IDLE_TIMEOUT_MS
+    } = {}
+  ) {
+    this.sceneManager = sceneManager;
+    this.budget = { maxScenes, maxImages, maxModels, idleTimeout };
+    this.imageLoader = new THREE.ImageLoader();
+    this.prefetchedImages = new Set();
+    this.prefetchedModels = new Set();
+    this.tasks = [];
+    this.idleHandle = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Starts prefetching on every scene enter and cancels queued work when a load starts.
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return;
+    THREE.Cache.enabled = true;
+
+    this.unsubscribers = [
+      this.sceneManager.on("loadstart", () => this.cancel()),
+      this.sceneManager.on("enter", ({ scene }) => {
+        if (scene.sceneId) this.prefetchNeighbours(scene.sceneId);
+      })
+    ];
+  }
+
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.cancel();
+  }
+
+  /**
+   * Queues the teleport targets of `sceneId` (modules first, then images, then models) within
+   * budget.
+   * @param {string} sceneId
+   */
+  prefetchNeighbours(sceneId) {
+    this.cancel();
+
+    const targets = [...new Set(getSceneTeleports(sceneId).map((teleport) => teleport.target))]
+      .filter((target) => target !== sceneId)
+      .slice(0, this.budget.maxScenes);
+
+    const images = targets
+      .flatMap((target) => collectSceneImages(getShowcaseScene(target)))
+      .filter((src) => !this.prefetchedImages.has(src));
+
+    targets.forEach((target) => this.tasks.push(() => this.prefetchScene(target)));
+    [...new Set(images)]
+      .slice(0, this.budget.maxImages)
+      .forEach((src) => this.tasks.push(() => this.prefetchImage(src)));
+
+    const models = targets
+      .flatMap((target) => collectSceneModels(getShowcaseScene(target)))
+      .filter((src) => !this.prefetchedModels.has(src));
+    [...new Set(models)]
+      .slice(0, this.budget.maxModels)
+      .forEach((src) => this.tasks.push(() => this.prefetchModel(src)));
+
+    logger.debug(`[ScenePrefetcher] Queued ${this.tasks.length} prefetch tasks for ${sceneId}`);
+    this.scheduleNext();
+  }
+
+  /**
+   * Drops queued (not yet started) tasks.
+   */
+  cancel() {
+    this.tasks = [];
+    if (this.idleHandle !== null) {
+      cancelIdle(this.idleHandle);
+      this.idleHandle = null;
+    }
+  }
+
+  scheduleNext() {
+    if (this.idleHandle !== null || this.tasks.length === 0) return;
+
+    this.idleHandle = requestIdle(async (deadline) => {
+      this.idleHandle = null;
+      const startedTasks = [];
+
+      while (this.tasks.length > 0 && deadline.timeRemaining() >= PREFETCH.MIN_IDLE_MS) {
+        startedTasks.push(this.tasks.shift()());
+        if (startedTasks.length >= PREFETCH.MAX_CONCURRENT) break;
+      }
+      // Always make progress, even when the browser reports no idle time before the timeout
+      if (startedTasks.length === 0 && this.tasks.length > 0) {
+        startedTasks.push(this.tasks.shift()());
+      }
+
+      await Promise.allSettled(startedTasks);
+      this.scheduleNext();
+    }, this.budget.idleTimeout);
+  }
+
+  async prefetchScene(sceneId) {
+    try {
+      await loadSceneClass(sceneId);
+      logger.debug(`[ScenePrefetcher] Prefetched scene module for ${sceneId}`);
+    } catch (error) {
+      logger.debug(`[ScenePrefetcher] Could not prefetch scene ${sceneId}: ${error.message}`);
+    }
+  }
+
+  async prefetchImage(src) {
+    this.prefetchedImages.add(src);
+    try {
+      await this.imageLoader.loadAsync(src);
+      logger.debug(`[ScenePrefetcher] Prefetched image ${src}`);
+    } catch {
+      this.prefetchedImages.delete(src);
+      logger.debug(`[ScenePrefetcher] Could not prefetch image ${src}`);
+    }
+  }
+
+  async prefetchModel(src) {
+    this.prefetchedModels.add(src);
+    try {
+      await AssetManager.loadGLTF(src);
+      logger.debug(`[ScenePrefetcher] Prefetched model ${src}`);
+    } catch {
+      this.prefetchedModels.delete(src);
+      logger.debug(`[ScenePrefetcher] Could not prefetch model ${src}`);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import { ROUTING } from "../constants/sceneConstants.js";
+import { SCENE_IDS, getSceneLoader } from "../scenes/sceneRegistry.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * URL route segment for a scene id, e.g. `innovation_lab` -> `innovation-lab`.
+ * @param {string} sceneId
+ * @returns {string}
+ */
+export function getSceneRoute(sceneId) {
+  return sceneId.replace(/_/g, "-");
+}
+
+/**
+ * Maps a route segment back to a registered scene id. Raw scene ids are accepted as well.
+ * @param {string} route
+ * @returns {string|null}
+ */
+export function getSceneIdForRoute(route) {
+  const segment = decodeURIComponent(route || "").replace(/^\/+|\/+$/g, "");
+  if (!segment) return null;
+
+  // Registered ids may contain hyphens themselves, so try the segment as-is last
+  const candidates = [segment.replace(/-/g, "_"), segment];
+  return candidates.find((sceneId) => getSceneLoader(sceneId)) || null;
+}
+
+/**
+ * Keeps the browser URL and window.history in sync with SceneManager navigation so rooms
+ * can be deep linked (`#/gallery` in hash mode, `/gallery` in path mode) and the browser
+ * back/forward buttons move between rooms.
+ */
+export class SceneRouter {
+  /**
+   * @param {import("./SceneManager.js").SceneManager} sceneManager
+   * @param {{ mode?: "hash" | "path", basePath?: string, fallbackSceneId?: string }} options
+   */
+  constructor(
+    sceneManager,
+    {
+      mode = ROUTING.MODE,
+      basePath = ROUTING.BASE_PATH,
+      fallbackSceneId = SCENE_IDS.MAIN_HALL
+    } = {}
+  ) {
+    this.sceneManager = sceneManager;
+    this.mode = mode;
+    this.basePath = basePath.endsWith("/") ? basePath : `${basePath}/`;
+    this.fallbackSceneId = fallbackSceneId;
+    this.isHandlingPopState = false;
+    this.unsubscribe = null;
+    this.handlePopState = () => this.onPopState();
+  }
+
+  /**
+   * Starts mirroring navigation into window.history and listening for popstate.
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.sceneManager.on("navigate", (detail) => this.onNavigate(detail));
+    window.addEventListener("popstate", this.handlePopState);
+  }
+
+  /**
+   * Stops syncing with the browser history.
+   */
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    window.removeEventListener("popstate", this.handlePopState);
+  }
+
+  /**
+   * @returns {string|null} the scene id encoded in the current URL, if it is registered
+   */
+  resolveSceneFromUrl() {
+    const { hash, pathname } = window.location;
+    if (this.mode === "hash") {
+      return getSceneIdForRoute(hash.replace(/^#/, ""));
+    }
+    const route = pathname.startsWith(this.basePath)
+      ? pathname.slice(this.basePath.length)
+      : pathname;
+    return getSceneIdForRoute(route);
+  }
+
+  /**
+   * Scene to open first: the one in the URL, or the fallback scene for missing/unknown routes.
+   * @returns {string}
+   */
+  getInitialSceneId() {
+    const sceneId = this.resolveSceneFromUrl();
+    if (sceneId) return sceneId;
+
+    if (this.hasRoute()) {
+      logger.warn(
+        `[SceneRouter] Unknown route "${window.location.href}", opening ${this.fallbackSceneId}`
+      );
+    }
+    return this.fallbackSceneId;
+  }
+
+  /**
+   * @returns {boolean} whether the current URL carries any route segment
+   */
+  hasRoute() {
+    const { hash, pathname } = window.location;
+    if (this.mode === "hash") {
+      return hash.replace(/^#\/?/, "") !== "";
+    }
+    return pathname.replace(this.basePath, "").replace(/\/+$/, "") !== "";
+  }
+
+  /**
+   * @param {string} sceneId
+   * @returns {string} URL for the scene in the configured routing mode
+   */
+  buildUrl(sceneId) {
+    const route = getSceneRoute(sceneId);
+    if (this.mode === "hash") {
+      return `${window.location.pathname}${window.location.search}#/${route}`;
+    }
+    return `${this.basePath}${route}${window.location.search}`;
+  }
+
+  /**
+   * Mirrors a SceneManager history change into window.history.
+   * @param {{ sceneId: string, action: string }} detail
+   */
+  onNavigate({ sceneId, action }) {
+    // The browser already moved; the scene manager is only catching up
+    if (this.isHandlingPopState) return;
+
+    const state = { sceneId };
+    switch (action) {
+      case "back":
+        window.history.back();
+        break;
+      case "forward":
+        window.history.forward();
+        break;
+      case "replace":
+        window.history.replaceState(state, "", this.buildUrl(sceneId));
+        break;
+      default:
+        if (this.resolveSceneFromUrl() === sceneId) {
+          window.history.replaceState(state, "", this.buildUrl(sceneId));
+        } else {
+          window.history.pushState(state, "", this.buildUrl(sceneId));
+        }
+    }
+    logger.debug(`[SceneRouter] ${action} -> ${this.buildUrl(sceneId)}`);
+  }
+
+  /**
+   * Drives scene navigation from browser back/forward and manual URL edits.
+   */
+  async onPopState() {
+    const sceneId = this.resolveSceneFromUrl();
+    const { history } = this.sceneManager;
+
+    if (!sceneId) {
+      logger.warn(
+        `[SceneRouter] Unknown route "${window.location.href}", opening ${this.fallbackSceneId}`
+      );
+      try {
+        await this.sceneManager.navigate(this.fallbackSceneId, { replace: true });
+      } catch (error) {
+        logger.error(`[SceneRouter] Failed to open "${this.fallbackSceneId}" from URL:`, error);
+      }
+      return;
+    }
+
+    // Echo of a back()/forward() the scene manager already performed
+    if (sceneId === history.current) return;
+
+    this.isHandlingPopState = true;
+    try {
+      let scene;
+      if (sceneId === history.peekBack()) {
+        scene = await this.sceneManager.back();
+      } else if (sceneId === history.peekForward()) {
+        scene = await this.sceneManager.forward();
+      } else {
+        scene = await this.sceneManager.navigate(sceneId, { replace: true });
+      }
+
+      if (!scene && history.current) {
+        // Navigation did not happen; point the URL back at the room that is current
+        window.history.replaceState(
+          { sceneId: history.current },
+          "",
+          this.buildUrl(history.current)
+        );
+      }
+    } catch (error) {
+      logger.error(`[SceneRouter] Failed to open "${sceneId}" from URL:`, error);
+    } finally {
+      this.isHandlingPopState = false;
+    }
+  }
+}
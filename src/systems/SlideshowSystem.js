@@ -0,0 +1,67 @@
+import { createSystem } from "@iwsdk/core";
+import * as THREE from "three";
+import { SLIDESHOW } from "../constants/sceneConstants.js";
+
+const GAZE_ANGLE = THREE.MathUtils.degToRad(SLIDESHOW.GAZE_ANGLE_DEG);
+
+/**
+ * Advances slideshow timers from the world update loop (so they keep time inside an XR
+ * session and stop with it) and tells each slideshow whether the viewer is looking at it.
+ */
+export class SlideshowSystem extends createSystem({}, {}) {
+  init() {
+    this.slideshows = new Set();
+    this.cameraPosition = new THREE.Vector3();
+    this.cameraDirection = new THREE.Vector3();
+    this.toSlideshow = new THREE.Vector3();
+  }
+
+  /**
+   * @param {ReturnType<import("../utils/slideshow.js").createSlideshow>} slideshow
+   */
+  add(slideshow) {
+    this.slideshows.add(slideshow);
+  }
+
+  remove(slideshow) {
+    this.slideshows.delete(slideshow);
+  }
+
+  /**
+   * Whether the camera is pointed at an object, within SLIDESHOW.GAZE_ANGLE_DEG and
+   * SLIDESHOW.GAZE_MAX_DISTANCE.
+   * @param {import("three").Object3D} object3D
+   * @returns {boolean}
+   */
+  isLookedAt(object3D) {
+    this.camera.getWorldPosition(this.cameraPosition);
+    this.camera.getWorldDirection(this.cameraDirection);
+    object3D.getWorldPosition(this.toSlideshow).sub(this.cameraPosition);
+
+    return (
+      this.toSlideshow.length() <= SLIDESHOW.GAZE_MAX_DISTANCE &&
+      this.cameraDirection.angleTo(this.toSlideshow) <= GAZE_ANGLE
+    );
+  }
+
+  update(delta) {
+    this.slideshows.forEach((slideshow) => {
+      if (slideshow.pauseWhenLookedAt && slideshow.entity.object3D) {
+        slideshow.setGazeHold(this.isLookedAt(slideshow.entity.object3D));
+      }
+      slideshow.update(delta * 1000);
+    });
+  }
+}
+
+/**
+ * Returns the world's SlideshowSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {SlideshowSystem}
+ */
+export function getSlideshowSystem(world) {
+  if (!world.getSystem(SlideshowSystem)) {
+    world.registerSystem(SlideshowSystem);
+  }
+  return world.getSystem(SlideshowSystem);
+}
@@ -0,0 +1,265 @@
+import { TOUR } from "../constants/sceneConstants.js";
+import { getSceneLoader } from "../scenes/sceneRegistry.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Stop rooms of a tour that cannot be opened, e.g. rooms the active profile leaves out.
+ * @param {{ stops: Array<{ room: string }> }} tour - a tour's entry in tours.json
+ * @returns {string[]}
+ */
+export function getMissingTourRooms(tour) {
+  const rooms = (tour?.stops || []).map((stop) => stop.room);
+  return [...new Set(rooms.filter((room) => !getSceneLoader(room)))];
+}
+
+/**
+ * Plays a scripted tour from tours.json: visits its stops in order, staying `dwell`
+ * milliseconds in each room, and asks each room to highlight the stop's panels (see
+ * RoomScene.highlightPanels). Started through SceneManager.playTour.
+ *
+ * The dwell countdown starts once the stop's room has been entered and stops while paused.
+ * Leaving the tour's room any other way (a portal, the back button) ends the tour, as does a
+ * stop whose room cannot be opened.
+ */
+export class TourPlayer {
+  /**
+   * @param {import("./SceneManager.js").SceneManager} sceneManager
+   * @param {string} tourId
+   * @param {{ title: string, stops: Array, loop?: boolean, transition?: string|Object }} tour -
+   *   the tour's entry in tours.json
+   */
+  constructor(sceneManager, tourId, tour) {
+    this.sceneManager = sceneManager;
+    this.tourId = tourId;
+    this.tour = tour;
+    this.index = -1;
+    this.paused = false;
+    this.ended = false;
+    this.arrived = false;
+    this.listeners = new Map();
+    this.timer = null;
+    this.remaining = 0;
+    this.startedAt = 0;
+    this.expectedSceneId = null;
+    this.navigation = 0;
+    this.unsubscribers = [];
+  }
+
+  /** Title of the tour */
+  get title() {
+    return this.tour.title;
+  }
+
+  /** Number of stops */
+  get count() {
+    return this.tour.stops.length;
+  }
+
+  /** Stop being shown, or null before the tour started */
+  get stop() {
+    return this.tour.stops[this.index] || null;
+  }
+
+  /** Time the current stop lasts, in milliseconds */
+  get dwell() {
+    return this.stop?.dwell || TOUR.DEFAULT_DWELL;
+  }
+
+  /**
+   * @returns {{ index: number, count: number, elapsed: number, dwell: number }} where the
+   *   tour is; `elapsed` is 0 until the stop's room has been entered
+   */
+  get progress() {
+    let remaining = this.remaining;
+    if (this.timer) {
+      remaining -= window.performance.now() - this.startedAt;
+    }
+    const elapsed = this.arrived ? Math.min(this.dwell, this.dwell - remaining) : 0;
+    return { index: this.index, count: this.count, elapsed, dwell: this.dwell };
+  }
+
+  /**
+   * Subscribes to a tour event.
+   * - `stop` – `{ index, stop }` when the tour moves to a stop (before its room loads)
+   * - `arrive` – `{ index, stop, scene }` once the stop's room has been entered
+   * - `pause` / `resume` – `{ index }`
+   * - `end` – `{ completed }`; completed is false when the visitor exited or left the tour
+   * @param {string} eventName
+   * @param {(detail: Object) => void} handler
+   * @returns {() => void} unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(handler);
+    return () => this.listeners.get(eventName)?.delete(handler);
+  }
+
+  _emit(eventName, detail) {
+    this.listeners.get(eventName)?.forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        logger.error(`[TourPlayer] Error in "${eventName}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Goes to the first stop.
+   */
+  start() {
+    this.unsubscribers.push(
+      this.sceneManager.on("navigate", ({ sceneId }) => this.onNavigate(sceneId)),
+      this.sceneManager.on("enter", ({ scene }) => this.onEnter(scene))
+    );
+    logger.info(`[TourPlayer] Starting "${this.tour.title}" (${this.count} stops)`);
+    this.goTo(0);
+  }
+
+  /**
+   * Moves to a stop, loading its room.
+   * @param {number} index
+   */
+  goTo(index) {
+    if (this.ended) return;
+
+    this.clearTimer();
+    const navigation = ++this.navigation;
+    this.index = Math.min(Math.max(index, 0), this.count - 1);
+    this.arrived = false;
+    this.remaining = this.dwell;
+
+    const stop = this.stop;
+    this._emit("stop", { index: this.index, stop });
+    logger.info(`[TourPlayer] Stop ${this.index + 1}/${this.count}: ${stop.room}`);
+
+    if (this.sceneManager.activeScene?.sceneId === stop.room) {
+      this.onEnter(this.sceneManager.activeScene);
+      return;
+    }
+
+    if (!getSceneLoader(stop.room)) {
+      logger.warn(`[TourPlayer] No scene "${stop.room}" to open, ending the tour`);
+      this.end(false);
+      return;
+    }
+
+    this.expectedSceneId = stop.room;
+    this.sceneManager
+      .navigate(stop.room, { transition: stop.transition || this.tour.transition })
+      .then((scene) => {
+        // Null when superseded: by our own next request (ignored) or by anything else, after
+        // which the stop would never be reached
+        if (scene || navigation !== this.navigation || this.ended || this.arrived) return;
+        logger.warn(`[TourPlayer] ${stop.room} was not opened, ending the tour`);
+        this.end(false);
+      })
+      .catch((error) => {
+        logger.error(`[TourPlayer] Could not open ${stop.room}, ending the tour:`, error);
+        this.end(false);
+      });
+  }
+
+  /** Skips to the next stop; after the last one the tour ends (or starts over with `loop`) */
+  next() {
+    if (this.index < this.count - 1) {
+      this.goTo(this.index + 1);
+    } else if (this.tour.loop) {
+      this.goTo(0);
+    } else {
+      this.end(true);
+    }
+  }
+
+  /** Goes back a stop; on the first stop, restarts it */
+  previous() {
+    this.goTo(this.index - 1);
+  }
+
+  pause() {
+    if (this.paused || this.ended) return;
+    this.paused = true;
+    if (this.timer) {
+      this.remaining -= window.performance.now() - this.startedAt;
+      this.clearTimer();
+    }
+    this._emit("pause", { index: this.index });
+  }
+
+  resume() {
+    if (!this.paused || this.ended) return;
+    this.paused = false;
+    if (this.arrived) {
+      this.startTimer();
+    }
+    this._emit("resume", { index: this.index });
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /** Ends the tour, leaving the visitor in the current room */
+  exit() {
+    this.end(false);
+  }
+
+  /**
+   * @param {boolean} completed - whether the last stop finished
+   */
+  end(completed) {
+    if (this.ended) return;
+    this.ended = true;
+    this.clearTimer();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.sceneManager.activeScene?.highlightPanels?.([]);
+    logger.info(`[TourPlayer] "${this.tour.title}" ${completed ? "finished" : "exited"}`);
+    this._emit("end", { completed });
+  }
+
+  onNavigate(sceneId) {
+    if (sceneId === this.expectedSceneId) return;
+    logger.info(`[TourPlayer] Visitor left the tour for ${sceneId}`);
+    this.end(false);
+  }
+
+  /**
+   * Highlights the stop's panels whenever its room is entered (again after content reloads)
+   * and starts the dwell countdown on the first entry.
+   */
+  onEnter(scene) {
+    const stop = this.stop;
+    if (!stop || scene?.sceneId !== stop.room) return;
+
+    this.expectedSceneId = null;
+    scene.highlightPanels?.(stop.highlight || []);
+    if (this.arrived) return;
+
+    this.arrived = true;
+    if (!this.paused) {
+      this.startTimer();
+    }
+    this._emit("arrive", { index: this.index, stop, scene });
+  }
+
+  startTimer() {
+    this.clearTimer();
+    this.startedAt = window.performance.now();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.next();
+    }, this.remaining);
+  }
+
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,223 @@
+import * as THREE from "three";
+import { TRANSITIONS } from "../constants/sceneConstants.js";
+import { logger } from "../utils/logger.js";
+import { getTweenSystem } from "./TweenSystem.js";
+
+const OVERLAY_MODE = { fade: 0, portal: 1 };
+
+const overlayVertexShader = /* glsl */ `
+  varying vec3 vDirection;
+  void main() {
+    vDirection = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Fade: uniform alpha. Portal: an iris that closes from behind the viewer toward the
+// center of view, leaving a soft-edged circular "portal" that shrinks to nothing.
+const overlayFragmentShader = /* glsl */ `
+  uniform vec3 uColor;
+  uniform float uProgress;
+  uniform float uMode;
+  uniform float uSoftness;
+  varying vec3 vDirection;
+  void main() {
+    float alpha = uProgress;
+    if (uMode > 0.5) {
+      float angle = acos(clamp(dot(normalize(vDirection), vec3(0.0, 0.0, -1.0)), -1.0, 1.0)) / 3.14159265;
+      float edge = (1.0 - uProgress) * (1.0 + uSoftness);
+      alpha = smoothstep(edge - uSoftness, edge, angle);
+    }
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+/**
+ * Normalizes a transition declared in content (`"fade"` or `{ type, duration, color }`)
+ * into a full spec, falling back to the default transition.
+ * @param {string|Object|undefined} transition
+ * @returns {{ type: string, duration: number, color: string }}
+ */
+export function resolveTransition(transition) {
+  const spec = typeof transition === "string" ? { type: transition } : transition || {};
+  const type = spec.type || TRANSITIONS.DEFAULT.type;
+  const preset = TRANSITIONS.PRESETS[type];
+
+  if (!preset) {
+    logger.warn(
+      `[TransitionManager] Unknown transition "${type}", using ${TRANSITIONS.DEFAULT.type}`
+    );
+    return resolveTransition({ ...spec, type: TRANSITIONS.DEFAULT.type });
+  }
+
+  return { ...TRANSITIONS.DEFAULT, ...preset, ...spec, type };
+}
+
+/**
+ * Visual transitions between scenes, driven by SceneManager around dispose/init.
+ *
+ * - `fade` – fades the view to a solid color, swaps scenes, fades back in
+ * - `portal` – an iris wipe closes on the view, swaps scenes, reopens
+ * - `crossfade` – both scenes exist at once while one fades out and the other fades in
+ * - `none` – instant cut
+ */
+export class TransitionManager {
+  /**
+   * @param {import("@iwsdk/core").World} world
+   */
+  constructor(world) {
+    this.world = world;
+    this.overlay = null;
+  }
+
+  /**
+   * @param {{ type: string }} spec
+   * @returns {boolean} whether the new scene is created before the old one is disposed
+   */
+  overlapsScenes(spec) {
+    return spec.type === "crossfade" && spec.duration > 0;
+  }
+
+  /**
+   * Hides the current view before the old scene is disposed (fade/portal only).
+   * @param {{ type: string, duration: number, color: string }} spec
+   */
+  async cover(spec) {
+    if (!(spec.type in OVERLAY_MODE) || spec.duration <= 0) return;
+    await this.animateOverlay(spec, 0, 1);
+  }
+
+  /**
+   * Shows the new scene once it has been initialized (fade/portal only).
+   * @param {{ type: string, duration: number, color: string }} spec
+   */
+  async reveal(spec) {
+    if (!(spec.type in OVERLAY_MODE) || spec.duration <= 0) return;
+    await this.animateOverlay(spec, 1, 0);
+    this.overlay.visible = false;
+  }
+
+  /**
+   * Fades the outgoing scene's meshes out while the incoming scene's meshes fade in.
+   * Opacity is re-applied every frame so panels that finish building mid-transition
+   * are included.
+   * @param {{ duration: number }} spec
+   * @param {import("../scenes/BaseScene.js").BaseScene} fromScene
+   * @param {import("../scenes/BaseScene.js").BaseScene} toScene
+   */
+  async crossfade(spec, fromScene, toScene) {
+    await getTweenSystem(this.world).tween({
+      duration: spec.duration,
+      onUpdate: (progress) => {
+        setSceneOpacity(fromScene, 1 - progress);
+        setSceneOpacity(toScene, progress);
+      }
+    });
+    restoreSceneOpacity(toScene);
+  }
+
+  /**
+   * Immediately clears any overlay, e.g. after a failed load.
+   */
+  reset() {
+    getTweenSystem(this.world).finishAll();
+    if (this.overlay) {
+      this.overlay.visible = false;
+    }
+  }
+
+  /**
+   * Removes the overlay from the camera and frees it.
+   */
+  dispose() {
+    if (!this.overlay) return;
+    this.overlay.parent?.remove(this.overlay);
+    this.overlay.geometry.dispose();
+    this.overlay.material.dispose();
+    this.overlay = null;
+  }
+
+  animateOverlay(spec, from, to) {
+    const overlay = this.getOverlay();
+    const { uniforms } = overlay.material;
+    uniforms.uColor.value.set(spec.color);
+    uniforms.uMode.value = OVERLAY_MODE[spec.type];
+    uniforms.uProgress.value = from;
+    overlay.visible = true;
+
+    // Each half of the transition gets half of the declared duration
+    return getTweenSystem(this.world).tween({
+      duration: spec.duration / 2,
+      onUpdate: (progress) => {
+        uniforms.uProgress.value = from + (to - from) * progress;
+      }
+    });
+  }
+
+  /**
+   * Lazily creates the camera-attached overlay sphere used by fade and portal transitions.
+   * @returns {THREE.Mesh}
+   */
+  getOverlay() {
+    if (this.overlay) return this.overlay;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uColor: { value: new THREE.Color(TRANSITIONS.DEFAULT.color) },
+        uProgress: { value: 0 },
+        uMode: { value: OVERLAY_MODE.fade },
+        uSoftness: { value: TRANSITIONS.PORTAL_EDGE_SOFTNESS }
+      },
+      vertexShader: overlayVertexShader,
+      fragmentShader: overlayFragmentShader,
+      side: THREE.BackSide,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    });
+
+    this.overlay = new THREE.Mesh(
+      new THREE.SphereGeometry(TRANSITIONS.OVERLAY_RADIUS, 32, 16),
+      material
+    );
+    this.overlay.renderOrder = Number.MAX_SAFE_INTEGER;
+    this.overlay.frustumCulled = false;
+    this.overlay.visible = false;
+    this.world.camera.add(this.overlay);
+
+    return this.overlay;
+  }
+}
+
+function forEachSceneMaterial(scene, callback) {
+  scene.entities.forEach((entity) => {
+    entity.object3D?.traverse((object) => {
+      if (!object.isMesh || !object.material) return;
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(callback);
+    });
+  });
+}
+
+function setSceneOpacity(scene, factor) {
+  forEachSceneMaterial(scene, (material) => {
+    if (!material.userData.transitionBase) {
+      material.userData.transitionBase = {
+        opacity: material.opacity,
+        transparent: material.transparent
+      };
+    }
+    material.transparent = true;
+    material.opacity = material.userData.transitionBase.opacity * factor;
+  });
+}
+
+function restoreSceneOpacity(scene) {
+  forEachSceneMaterial(scene, (material) => {
+    const base = material.userData.transitionBase;
+    if (!base) return;
+    material.opacity = base.opacity;
+    material.transparent = base.transparent;
+    delete material.userData.transitionBase;
+  });
+}
@@ -0,0 +1,38 @@
+import { createComponent, createSystem, Hovered, Pressed, Types } from "@iwsdk/core";
+import * as THREE from "three";
+import { MODEL_EXHIBIT } from "../constants/sceneConstants.js";
+
+/**
+ * Spins an entity around its local Y axis.
+ */
+export const Turntable = createComponent("Turntable", {
+  /** Degrees per second; negative values spin clockwise seen from above */
+  speed: { type: Types.Float32, default: MODEL_EXHIBIT.TURNTABLE_SPEED }
+});
+
+/**
+ * Turns every Turntable entity each frame. Interactable entities hold still while a pointer
+ * hovers or presses them, so a model being read about or grabbed is not pulled away.
+ */
+export class TurntableSystem extends createSystem({
+  turntables: { required: [Turntable], excluded: [Hovered, Pressed] }
+}) {
+  update(delta) {
+    this.queries.turntables.entities.forEach((entity) => {
+      const speed = THREE.MathUtils.degToRad(entity.getValue(Turntable, "speed"));
+      entity.object3D?.rotateY(speed * delta);
+    });
+  }
+}
+
+/**
+ * Returns the world's TurntableSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {TurntableSystem}
+ */
+export function getTurntableSystem(world) {
+  if (!world.getSystem(TurntableSystem)) {
+    world.registerSystem(TurntableSystem);
+  }
+  return world.getSystem(TurntableSystem);
+}
@@ -0,0 +1,72 @@
+import { createSystem } from "@iwsdk/core";
+
+/**
+ * Standard easing curves, mapping linear progress (0–1) to eased progress.
+ */
+export const EASING = {
+  linear: (t) => t,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOut: (t) => 1 - Math.pow(1 - t, 3)
+};
+
+/**
+ * Advances time-based animations from the world update loop, so they keep running inside
+ * an XR session where window.requestAnimationFrame is not serviced.
+ */
+export class TweenSystem extends createSystem({}, {}) {
+  init() {
+    this.tweens = new Set();
+  }
+
+  /**
+   * Animates progress from 0 to 1 over `duration` milliseconds.
+   * @param {{ duration: number, onUpdate: (progress: number) => void, easing?: (t: number) => number }} options
+   * @returns {Promise<void>} resolves after the final `onUpdate(1)`
+   */
+  tween({ duration, onUpdate, easing = EASING.easeInOut }) {
+    if (!duration || duration <= 0) {
+      onUpdate(1);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.tweens.add({ duration, onUpdate, easing, elapsed: 0, resolve });
+    });
+  }
+
+  /**
+   * Finishes every running tween immediately.
+   */
+  finishAll() {
+    this.tweens.forEach((tween) => {
+      tween.onUpdate(1);
+      tween.resolve();
+    });
+    this.tweens.clear();
+  }
+
+  update(delta) {
+    this.tweens.forEach((tween) => {
+      tween.elapsed += delta * 1000;
+      const progress = Math.min(tween.elapsed / tween.duration, 1);
+      tween.onUpdate(tween.easing(progress));
+
+      if (progress >= 1) {
+        this.tweens.delete(tween);
+        tween.resolve();
+      }
+    });
+  }
+}
+
+/**
+ * Returns the world's TweenSystem, registering it on first use.
+ * @param {import("@iwsdk/core").World} world
+ * @returns {TweenSystem}
+ */
+export function getTweenSystem(world) {
+  if (!world.getSystem(TweenSystem)) {
+    world.registerSystem(TweenSystem);
+  }
+  return world.getSystem(TweenSystem);
+}
@@ -0,0 +1,83 @@
+import { REMOTE_CONTENT } from "../constants/sceneConstants.js";
+import { logger } from "./logger.js";
+
+/**
+ * IndexedDB store for remotely loaded content files. Every operation fails soft: when
+ * IndexedDB is unavailable (private browsing, old browsers) reads resolve with null and
+ * writes are skipped, so content falls back to the network or the bundled copy.
+ *
+ * Records: `{ key, version, etag, data, fetchedAt }`, keyed by profile and file name
+ * (e.g. "studio/showcaseScenes").
+ */
+
+const { DB_NAME, STORE_NAME, VERSION } = REMOTE_CONTENT.CACHE;
+
+/** IndexedDB schema version; 2 keys records by profile and file instead of by file */
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openDatabase() {
+  if (!dbPromise) {
+    if (!window.indexedDB) {
+      dbPromise = Promise.resolve(null);
+    } else {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(STORE_NAME)) {
+          db.deleteObjectStore(STORE_NAME);
+        }
+        db.createObjectStore(STORE_NAME, { keyPath: "key" });
+      };
+      dbPromise = requestToPromise(request).catch((error) => {
+        logger.warn("[ContentCache] IndexedDB unavailable, content will not be cached", error);
+        return null;
+      });
+    }
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+  const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  return requestToPromise(operation(store));
+}
+
+/**
+ * @param {string} key - profile and content file name (e.g. "studio/showcaseScenes")
+ * @returns {Promise<{ key: string, etag: string|null, data: unknown, fetchedAt: number }|null>}
+ *   the cached record, or null when there is none for the current cache version
+ */
+export async function readCachedContent(key) {
+  try {
+    const record = await withStore("readonly", (store) => store.get(key));
+    return record?.version === VERSION ? record : null;
+  } catch (error) {
+    logger.warn(`[ContentCache] Failed to read cached ${key}`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {{ etag: string|null, data: unknown }} entry
+ * @returns {Promise<void>}
+ */
+export async function writeCachedContent(key, { etag, data }) {
+  try {
+    await withStore("readwrite", (store) =>
+      store.put({ key, version: VERSION, etag, data, fetchedAt: Date.now() })
+    );
+  } catch (error) {
+    logger.warn(`[ContentCache] Failed to cache ${key}`, error);
+  }
+}
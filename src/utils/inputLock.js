@@ -0,0 +1,27 @@
+/**
+ * Global switch that suppresses UI clicks while something (e.g. a scene transition)
+ * must not be interrupted. Each holder blocks input under its own reason so overlapping
+ * holders do not release each other's lock.
+ */
+const activeLocks = new Set();
+
+/**
+ * @param {string} reason - identifies the holder of the lock
+ */
+export function blockInput(reason) {
+  activeLocks.add(reason);
+}
+
+/**
+ * @param {string} reason - the reason passed to blockInput
+ */
+export function releaseInput(reason) {
+  activeLocks.delete(reason);
+}
+
+/**
+ * @returns {boolean} whether any holder currently blocks input
+ */
+export function isInputBlocked() {
+  return activeLocks.size > 0;
+}
@@ -0,0 +1,167 @@
+import { CAMERA, LAYOUT } from "../constants/sceneConstants.js";
+import { logger } from "./logger.js";
+
+/**
+ * Computes evenly spaced offsets centered on zero.
+ * @param {number} count
+ * @param {number} spacing
+ * @returns {number[]}
+ */
+export function centeredOffsets(count, spacing) {
+  const offsetStart = count > 1 ? -((count - 1) * spacing) / 2 : 0;
+  return Array.from({ length: count }, (_, index) => offsetStart + index * spacing);
+}
+
+/**
+ * Point on a horizontal circle around `center`; angle 0 is straight ahead (-Z) and
+ * positive angles turn to the right.
+ */
+function pointOnCircle(center, radius, angle, height) {
+  return {
+    x: center.x + Math.sin(angle) * radius,
+    y: height,
+    z: center.z - Math.cos(angle) * radius
+  };
+}
+
+/**
+ * Position generators keyed by layout type. Each returns one `{ x, y, z }` per item.
+ * - `row` – side by side along X, centered on `x`, at depth `z`
+ * - `vertical-stack` – top to bottom, centered on `height`
+ * - `grid` – `columns` per row, rows filled top to bottom (`rowSpacing` defaults to `spacing`)
+ * - `arc` – along a circle of `radius` around `center`, `spacing` apart, centered ahead
+ * - `circle` – evenly around a full circle of `radius`, first item straight ahead
+ */
+const LAYOUTS = {
+  row(count, options) {
+    return centeredOffsets(count, options.spacing).map((offset) => ({
+      x: options.x + offset,
+      y: options.height,
+      z: options.z
+    }));
+  },
+
+  "vertical-stack"(count, options) {
+    return centeredOffsets(count, options.spacing).map((offset) => ({
+      x: options.x,
+      y: options.height - offset,
+      z: options.z
+    }));
+  },
+
+  grid(count, options) {
+    const columns = Math.max(1, Math.min(options.columns, count));
+    const rows = Math.ceil(count / columns);
+    const columnOffsets = centeredOffsets(columns, options.spacing);
+    const rowOffsets = centeredOffsets(rows, options.rowSpacing ?? options.spacing);
+
+    return Array.from({ length: count }, (_, index) => {
+      const row = Math.floor(index / columns);
+      // Center a short last row instead of leaving it left-aligned
+      const itemsInRow = Math.min(columns, count - row * columns);
+      const column = (columns - itemsInRow) / 2 + (index % columns);
+
+      return {
+        x: options.x + columnOffsets[0] + column * options.spacing,
+        y: options.height - rowOffsets[row],
+        z: options.z
+      };
+    });
+  },
+
+  arc(count, options) {
+    const angleStep = options.spacing / options.radius;
+    return centeredOffsets(count, angleStep).map((angle) =>
+      pointOnCircle(options.center, options.radius, angle, options.height)
+    );
+  },
+
+  circle(count, options) {
+    const angleStep = count > 0 ? (Math.PI * 2) / count : 0;
+    return Array.from({ length: count }, (_, index) =>
+      pointOnCircle(options.center, options.radius, index * angleStep, options.height)
+    );
+  }
+};
+
+/**
+ * Layout type names accepted by {@link computeLayout} (and by `layout.type` in content).
+ */
+export const LAYOUT_TYPES = Object.keys(LAYOUTS);
+
+/**
+ * Resolves where an item at `position` should look.
+ * - `"viewer"` (default) – toward the viewer's head at the origin
+ * - `"center"` – toward the layout center at the item's own height (no tilt)
+ * - `"outward"` – away from the layout center
+ * - `"forward"` – no rotation; every item faces +Z
+ * - `{ x, y, z }` – toward a point
+ * @returns {{ x: number, y: number, z: number }|null} look-at target, or null for no rotation
+ */
+function resolveFacing(facing, position, options) {
+  if (facing && typeof facing === "object") return facing;
+
+  switch (facing) {
+    case "forward":
+      return null;
+    case "center":
+      return { x: options.center.x, y: position.y, z: options.center.z };
+    case "outward":
+      return {
+        x: 2 * position.x - options.center.x,
+        y: position.y,
+        z: 2 * position.z - options.center.z
+      };
+    case "viewer":
+    case undefined:
+      return { x: 0, y: CAMERA.DEFAULT_HEIGHT, z: 0 };
+    default:
+      logger.warn(`[Layout] Unknown facing "${facing}", facing the viewer`);
+      return { x: 0, y: CAMERA.DEFAULT_HEIGHT, z: 0 };
+  }
+}
+
+/**
+ * Computes placements for `count` items arranged by a named layout.
+ *
+ * @param {number} count
+ * @param {Object} options - merged over LAYOUT.DEFAULTS
+ * @param {string} options.type - one of {@link LAYOUT_TYPES}
+ * @param {number} options.spacing - distance between neighbouring items (arc length for `arc`)
+ * @param {number} options.height - Y of the layout center
+ * @param {number} options.x - X of the layout center (row, vertical-stack, grid)
+ * @param {number} options.z - depth of the layout (row, vertical-stack, grid)
+ * @param {number} options.radius - circle radius (arc, circle)
+ * @param {{ x: number, z: number }} options.center - circle center (arc, circle)
+ * @param {number} options.columns - items per row (grid)
+ * @param {string|Object} options.facing - see resolveFacing
+ * @returns {Array<{ position: { x: number, y: number, z: number }, lookAt: Object|null }>}
+ */
+export function computeLayout(count, options = {}) {
+  const resolved = { ...LAYOUT.DEFAULTS, ...options };
+  let generate = LAYOUTS[resolved.type];
+
+  if (!generate) {
+    logger.warn(`[Layout] Unknown layout "${resolved.type}", using ${LAYOUT.DEFAULTS.type}`);
+    generate = LAYOUTS[LAYOUT.DEFAULTS.type];
+  }
+
+  return generate(count, resolved).map((position) => ({
+    position,
+    lookAt: resolveFacing(resolved.facing, position, resolved)
+  }));
+}
+
+/**
+ * Moves and orients an object according to a placement from {@link computeLayout}.
+ * @param {import("three").Object3D} object3D
+ * @param {{ position: { x: number, y: number, z: number }, lookAt: Object|null }} placement
+ */
+export function applyPlacement(object3D, { position, lookAt }) {
+  object3D.position.set(position.x, position.y, position.z);
+  if (lookAt) {
+    object3D.lookAt(lookAt.x, lookAt.y, lookAt.z);
+  } else {
+    object3D.rotation.set(0, 0, 0);
+  }
+}
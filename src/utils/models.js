@@ -0,0 +1,42 @@
+import { AssetManager } from "@iwsdk/core";
+import * as THREE from "three";
+
+/**
+ * Scales a model so its largest dimension is `size` meters and centers it on its parent's
+ * origin, so turning the parent spins the model around its middle.
+ * @param {THREE.Object3D} model
+ * @param {number} size
+ * @returns {number} height of the fitted model
+ */
+function fitModel(model, size) {
+  const box = new THREE.Box3().setFromObject(model);
+  const dimensions = box.getSize(new THREE.Vector3());
+  const largest = Math.max(dimensions.x, dimensions.y, dimensions.z);
+  if (largest > 0) {
+    model.scale.multiplyScalar(size / largest);
+  }
+
+  box.setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  model.position.sub(center);
+  return box.getSize(dimensions).y;
+}
+
+/**
+ * Loads a GLTF through the world's AssetManager and returns a copy of its scene fitted to
+ * `size` and centered on the origin.
+ *
+ * The AssetManager caches GLTFs by URL, so copies share geometry, materials and textures;
+ * objects holding a copy must not dispose them (see `userData.sharedResources` in
+ * BaseScene.disposeEntity).
+ *
+ * @param {string} src - .gltf or .glb file under public/
+ * @param {number} size - largest dimension in meters
+ * @returns {Promise<{ model: THREE.Object3D, height: number }>}
+ */
+export async function loadFittedModel(src, size) {
+  const gltf = await AssetManager.loadGLTF(src);
+  const model = gltf.scene.clone(true);
+  const height = fitModel(model, size);
+  return { model, height };
+}
@@ -1,5 +1,7 @@
-import { PanelDocument } from "@iwsdk/core";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
 import { logger } from "./logger.js";
+import { isInputBlocked } from "./inputLock.js";
+import { addButtonSounds } from "./sounds.js";
 
 /**
  * Connects a PanelUI document button element to a click handler and updates its label.
@@ -10,79 +12,115 @@ import { logger } from "./logger.js";
  * @param {function} options.onClick - handler to invoke when button clicked
  * @param {string} options.titleId - element id for the title text
  * @param {string} options.buttonId - element id for the clickable region
- * @param {number} options.maxAttempts - number of RAF retries while waiting for document
+ * @returns {Promise<void>} settles once the button is bound (or the panel never loaded)
  */
 export function bindPanelButton(
   entity,
-  { label, onClick, titleId = "portal-title", buttonId = "portal-button", maxAttempts = 120 }
+  { label, onClick, titleId = "portal-title", buttonId = "portal-button" }
 ) {
-  function attemptBinding(attempt = 0) {
-    const document = PanelDocument.data.document[entity.index];
-    if (!document) {
-      if (attempt < maxAttempts) {
-        requestAnimationFrame(() => attemptBinding(attempt + 1));
-      } else {
-        logger.warn(
-          `[PanelUI] Document not ready for entity ${entity.index} after ${maxAttempts} attempts`
-        );
+  return whenPanelReady(entity)
+    .then((document) => {
+      if (titleId) {
+        const titleElement = document.getElementById?.(titleId);
+        if (titleElement && label !== undefined) {
+          titleElement.setProperties?.({ text: label });
+        }
       }
-      return;
-    }
 
-    if (titleId) {
-      const titleElement = document.getElementById?.(titleId);
-      if (titleElement && label !== undefined) {
-        titleElement.setProperties?.({ text: label });
+      if (!buttonId || !onClick) {
+        logger.warn(`[PanelUI] Missing buttonId or onClick for entity ${entity.index}`);
+        return;
       }
-    }
 
-    if (buttonId && onClick) {
       const buttonElement = document.getElementById?.(buttonId);
-      if (buttonElement) {
-        if (!buttonElement.__panelBindingAttached) {
-          // Remove any existing listeners first to prevent duplicates
-          const existingHandler = buttonElement.__panelBindingHandler;
-          if (existingHandler) {
-            buttonElement.removeEventListener?.("click", existingHandler);
-          }
+      if (!buttonElement) {
+        logger.warn(`[PanelUI] Button element "${buttonId}" not found for entity ${entity.index}`);
+        return;
+      }
 
-          // Create a new handler with debouncing
-          const newOnClick = (event) => {
-            // Stop propagation immediately to prevent multiple handlers
-            if (event) {
-              event.stopPropagation();
-            }
+      if (buttonElement.__panelBindingAttached) {
+        logger.debug(
+          `[PanelUI] Click handler already attached for entity ${entity.index} (${label})`
+        );
+        return;
+      }
 
-            logger.info(`[PanelUI] Button clicked for entity ${entity.index} (${label})`, {
-              event,
-              timestamp: Date.now()
-            });
-            try {
-              onClick(event);
-            } catch (error) {
-              logger.error(`[PanelUI] Error in click handler for entity ${entity.index}:`, error);
-            }
-          };
+      // Remove any existing listeners first to prevent duplicates
+      const existingHandler = buttonElement.__panelBindingHandler;
+      if (existingHandler) {
+        buttonElement.removeEventListener?.("click", existingHandler);
+      }
+
+      const newOnClick = (event) => {
+        // Stop propagation immediately to prevent multiple handlers
+        if (event) {
+          event.stopPropagation();
+        }
 
-          buttonElement.addEventListener?.("click", newOnClick);
-          buttonElement.__panelBindingAttached = true;
-          buttonElement.__panelBindingHandler = newOnClick; // Store reference for cleanup
-          logger.info(`[PanelUI] Bound click for entity ${entity.index} (${label})`);
-        } else {
-          logger.debug(`[PanelUI] Click handler already attached for entity ${entity.index} (${label})`);
+        if (isInputBlocked()) {
+          logger.debug(`[PanelUI] Input blocked, ignoring click for entity ${entity.index}`);
+          return;
         }
-      } else if (attempt < maxAttempts) {
-        requestAnimationFrame(() => attemptBinding(attempt + 1));
+
+        logger.info(`[PanelUI] Button clicked for entity ${entity.index} (${label})`, {
+          event,
+          timestamp: Date.now()
+        });
+        try {
+          onClick(event);
+        } catch (error) {
+          logger.error(`[PanelUI] Error in click handler for entity ${entity.index}:`, error);
+        }
+      };
+
+      addButtonSounds(buttonElement);
+      buttonElement.addEventListener?.("click", newOnClick);
+      buttonElement.__panelBindingAttached = true;
+      buttonElement.__panelBindingHandler = newOnClick; // Store reference for cleanup
+      logger.info(`[PanelUI] Bound click for entity ${entity.index} (${label})`);
+    })
+    .catch((error) => reportPanelNotReady("[PanelUI]", error));
+}
+
+/**
+ * Sets the label of a PanelUI link button and opens an external URL when it is clicked.
+ *
+ * @param {Entity} entity - IWSDK entity containing the PanelUI component
+ * @param {object} options
+ * @param {string} options.label - text to set on the button label element
+ * @param {string} options.url - URL opened in a new browsing context
+ * @param {string} options.buttonId - element id for the clickable region
+ * @param {string} options.labelId - element id for the button label text
+ * @returns {Promise<void>} settles once the link is bound (or the panel never loaded)
+ */
+export function bindExternalLink(
+  entity,
+  { label, url, buttonId = "contact-button", labelId = "contact-button-text" }
+) {
+  return whenPanelReady(entity)
+    .then((document) => {
+      const buttonElement = document.getElementById?.(buttonId);
+      const labelElement = document.getElementById?.(labelId);
+
+      if (!buttonElement || !labelElement) {
+        logger.warn(`[PanelUI] Link button "${buttonId}" not found for entity ${entity.index}`);
         return;
-      } else {
-        logger.warn(
-          `[PanelUI] Button element "${buttonId}" not found for entity ${entity.index} after ${maxAttempts} attempts`
-        );
       }
-    } else {
-      logger.warn(`[PanelUI] Missing buttonId or onClick for entity ${entity.index}`);
-    }
-  }
 
-  attemptBinding();
+      if (label !== undefined) {
+        labelElement.setProperties?.({ text: label });
+      }
+
+      if (!buttonElement.__externalLinkAttached) {
+        addButtonSounds(buttonElement);
+        buttonElement.addEventListener?.("click", () => {
+          if (isInputBlocked()) return;
+          logger.info(`[PanelUI] Opening external link: ${url}`);
+          window.open(url, "_blank");
+        });
+        buttonElement.__externalLinkAttached = true;
+        logger.info(`[PanelUI] External link bound for entity ${entity.index}`);
+      }
+    })
+    .catch((error) => reportPanelNotReady("[PanelUI]", error));
 }
@@ -1,167 +1,142 @@
-import { PanelDocument } from "@iwsdk/core";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
 import { logger } from "./logger.js";
+import { bindRichDescription } from "./richTextView.js";
 
 /**
- * Binds content (title, description, image) to a panel entity.
+ * Binds content (title, description, image) to a panel entity once its document has loaded.
+ * The description is rich text (see utils/richText.js) fitted to the panel; when it is cut
+ * short the panel's "Read more" control calls `options.onReadMore`.
  *
  * @param {Entity} entity - Panel entity with PanelUI component
  * @param {Object} content - Content to bind
  * @param {string} content.title - Panel title text
- * @param {string} content.description - Panel description text
+ * @param {string} content.description - Panel description (rich text)
  * @param {string} content.image - Image source URL
- * @param {number} maxAttempts - Number of RAF retries while waiting for document
+ * @param {Object} [options]
+ * @param {Function} [options.onReadMore] - opens the full description
+ * @returns {Promise<void>} settles once the content is bound (or the panel never loaded)
  */
-export function bindPanelContent(entity, content, maxAttempts = 200) {
-  function attemptBinding(attempt = 0) {
-    try {
-      // Check if entity.index is valid
-      if (entity.index === undefined || entity.index === null) {
-        if (attempt < maxAttempts) {
-          requestAnimationFrame(() => attemptBinding(attempt + 1));
-        } else {
-          logger.warn(
-            `[PanelContent] Entity index not available after ${maxAttempts} attempts`
-          );
-        }
-        return;
-      }
-
-      const document = PanelDocument.data.document[entity.index];
-      if (!document) {
-        if (attempt < maxAttempts) {
-          requestAnimationFrame(() => attemptBinding(attempt + 1));
-        } else {
-          logger.warn(
-            `[PanelContent] Document not ready for entity ${entity.index} after ${maxAttempts} attempts`
-          );
-        }
-        return;
-      }
-
-      // Bind title - try multiple approaches
-      if (content.title) {
-        let titleElement = document.getElementById?.("panel-title");
+export function bindPanelContent(entity, content, { onReadMore = null } = {}) {
+  return whenPanelReady(entity)
+    .then((document) => applyPanelContent(entity, document, content, onReadMore))
+    .catch((error) => reportPanelNotReady("[PanelContent]", error));
+}
 
-        // If not found, try querySelector
-        if (!titleElement && document.querySelector) {
-          titleElement = document.querySelector("#panel-title");
-        }
+function applyPanelContent(entity, document, content, onReadMore) {
+  try {
+    // Bind title - try multiple approaches
+    if (content.title) {
+      let titleElement = document.getElementById?.("panel-title");
 
-        // If still not found, try class-based selection
-        if (!titleElement && document.querySelector) {
-          titleElement = document.querySelector(".project-title");
-        }
-
-        if (titleElement) {
-          if (titleElement.setProperties) {
-            titleElement.setProperties({ text: content.title });
-          } else if (titleElement.textContent !== undefined) {
-            titleElement.textContent = content.title;
-          } else if (titleElement.innerText !== undefined) {
-            titleElement.innerText = content.title;
-          }
-          logger.debug(`[PanelContent] Set title: ${content.title}`);
-        } else {
-          logger.warn(`[PanelContent] Title element not found for entity ${entity.index}`);
-        }
+      // If not found, try querySelector
+      if (!titleElement && document.querySelector) {
+        titleElement = document.querySelector("#panel-title");
       }
 
-      // Bind description
-      if (content.description) {
-        let descriptionElement = document.getElementById?.("panel-description");
-
-        // If not found, try querySelector
-        if (!descriptionElement && document.querySelector) {
-          descriptionElement = document.querySelector("#panel-description");
-        }
-
-        // If still not found, try class-based selection
-        if (!descriptionElement && document.querySelector) {
-          descriptionElement = document.querySelector(".project-description");
-        }
+      // If still not found, try class-based selection
+      if (!titleElement && document.querySelector) {
+        titleElement = document.querySelector(".project-title");
+      }
 
-        if (descriptionElement) {
-          if (descriptionElement.setProperties) {
-            descriptionElement.setProperties({ text: content.description });
-          } else if (descriptionElement.textContent !== undefined) {
-            descriptionElement.textContent = content.description;
-          } else if (descriptionElement.innerText !== undefined) {
-            descriptionElement.innerText = content.description;
-          }
-          logger.debug(`[PanelContent] Set description: ${content.description}`);
-        } else {
-          logger.warn(`[PanelContent] Description element not found for entity ${entity.index}`);
+      if (titleElement) {
+        if (titleElement.setProperties) {
+          titleElement.setProperties({ text: content.title });
+        } else if (titleElement.textContent !== undefined) {
+          titleElement.textContent = content.title;
+        } else if (titleElement.innerText !== undefined) {
+          titleElement.innerText = content.title;
         }
+        logger.debug(`[PanelContent] Set title: ${content.title}`);
+      } else {
+        logger.warn(`[PanelContent] Title element not found for entity ${entity.index}`);
       }
+    }
 
-      // Bind image - always set a src, even if empty, to avoid missing src property errors
-      let imageElement = document.getElementById?.("panel-image");
+    // Bind description
+    if (content.description) {
+      let descriptionElement = document.getElementById?.("panel-description");
 
       // If not found, try querySelector
-      if (!imageElement && document.querySelector) {
-        imageElement = document.querySelector("#panel-image");
+      if (!descriptionElement && document.querySelector) {
+        descriptionElement = document.querySelector("#panel-description");
       }
 
       // If still not found, try class-based selection
-      if (!imageElement && document.querySelector) {
-        imageElement = document.querySelector(".project-image");
+      if (!descriptionElement && document.querySelector) {
+        descriptionElement = document.querySelector(".project-description");
+      }
+
+      if (descriptionElement) {
+        bindRichDescription(document, descriptionElement, content.description, onReadMore);
+        logger.debug(`[PanelContent] Set description: ${content.description}`);
+      } else {
+        logger.warn(`[PanelContent] Description element not found for entity ${entity.index}`);
       }
+    }
 
-      if (imageElement) {
-        const imageSrc = content.image || "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='1' height='1'%3E%3C/svg%3E";
+    // Bind image - always set a src, even if empty, to avoid missing src property errors
+    let imageElement = document.getElementById?.("panel-image");
 
-        // Add error handler for image loading
-        const handleImageError = () => {
-          logger.warn(`[PanelContent] Image failed to load: ${imageSrc} for entity ${entity.index}`);
-        };
+    // If not found, try querySelector
+    if (!imageElement && document.querySelector) {
+      imageElement = document.querySelector("#panel-image");
+    }
 
-        // Remove previous error listener if exists
-        if (imageElement.removeEventListener) {
-          imageElement.removeEventListener("error", handleImageError);
-        }
+    // If still not found, try class-based selection
+    if (!imageElement && document.querySelector) {
+      imageElement = document.querySelector(".project-image");
+    }
 
-        // Set image with multiple fallback methods
-        let imageSet = false;
-        if (imageElement.setProperties) {
-          try {
-            imageElement.setProperties({ src: imageSrc });
-            imageSet = true;
-            logger.debug(`[PanelContent] Set image via setProperties: ${imageSrc}`);
-          } catch (e) {
-            logger.debug(`[PanelContent] setProperties failed: ${e.message}`);
-          }
-        }
-        if (!imageSet && imageElement.src !== undefined) {
-          imageElement.src = imageSrc;
-          imageSet = true;
-          logger.debug(`[PanelContent] Set image via src property: ${imageSrc}`);
-        }
-        if (!imageSet && imageElement.setAttribute) {
-          imageElement.setAttribute("src", imageSrc);
-          imageSet = true;
-          logger.debug(`[PanelContent] Set image via setAttribute: ${imageSrc}`);
-        }
+    if (imageElement) {
+      const imageSrc = content.image || "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='1' height='1'%3E%3C/svg%3E";
 
-        // Add error listener
-        if (imageElement.addEventListener) {
-          imageElement.addEventListener("error", handleImageError, { once: true });
-        }
+      // Add error handler for image loading
+      const handleImageError = () => {
+        logger.warn(`[PanelContent] Image failed to load: ${imageSrc} for entity ${entity.index}`);
+      };
 
-        if (!imageSet) {
-          logger.warn(`[PanelContent] Could not set image src for entity ${entity.index}`);
+      // Remove previous error listener if exists
+      if (imageElement.removeEventListener) {
+        imageElement.removeEventListener("error", handleImageError);
+      }
+
+      // Set image with multiple fallback methods
+      let imageSet = false;
+      if (imageElement.setProperties) {
+        try {
+          imageElement.setProperties({ src: imageSrc });
+          imageSet = true;
+          logger.debug(`[PanelContent] Set image via setProperties: ${imageSrc}`);
+        } catch (e) {
+          logger.debug(`[PanelContent] setProperties failed: ${e.message}`);
         }
+      }
+      if (!imageSet && imageElement.src !== undefined) {
+        imageElement.src = imageSrc;
+        imageSet = true;
+        logger.debug(`[PanelContent] Set image via src property: ${imageSrc}`);
+      }
+      if (!imageSet && imageElement.setAttribute) {
+        imageElement.setAttribute("src", imageSrc);
+        imageSet = true;
+        logger.debug(`[PanelContent] Set image via setAttribute: ${imageSrc}`);
+      }
 
-      } else {
-        logger.warn(`[PanelContent] Image element not found for entity ${entity.index}`);
+      // Add error listener
+      if (imageElement.addEventListener) {
+        imageElement.addEventListener("error", handleImageError, { once: true });
       }
 
-      logger.debug(`[PanelContent] Content bound for entity ${entity.index}`);
+      if (!imageSet) {
+        logger.warn(`[PanelContent] Could not set image src for entity ${entity.index}`);
+      }
 
-    } catch (error) {
-      logger.error(`[PanelContent] Error binding content for entity ${entity.index}:`, error);
+    } else {
+      logger.warn(`[PanelContent] Image element not found for entity ${entity.index}`);
     }
-  }
 
-  attemptBinding();
+    logger.debug(`[PanelContent] Content bound for entity ${entity.index}`);
+  } catch (error) {
+    logger.error(`[PanelContent] Error binding content for entity ${entity.index}:`, error);
+  }
 }
-
@@ -0,0 +1,233 @@
+/**
+ * Parser for the rich-text subset allowed in description fields:
+ *
+ * - `# `, `## ` and `### ` headings
+ * - `- `, `* ` or `+ ` bullet items and `1. ` numbered items, one line each
+ * - `**bold**` / `__bold__`, `*italic*` / `_italic_`, `***both***` / `___both___`, and
+ *   `[label](https://…)` links (http, https and mailto only)
+ * - blank lines between paragraphs; a single newline is a line break
+ * - `\` escapes a markup character
+ *
+ * Anything else, including markup that is not closed, is kept as literal text.
+ * utils/richTextView.js renders the result. The panel font has no italic face, so italic runs
+ * are shown de-emphasised (light weight, RICH_TEXT.ITALIC_COLOR) rather than slanted.
+ */
+
+/**
+ * Run of text sharing one style.
+ * @typedef {{ text: string, bold?: boolean, italic?: boolean, href?: string }} RichTextRun
+ */
+
+/**
+ * @typedef {{ type: "heading", level: 1|2|3, runs: RichTextRun[] }
+ *   | { type: "paragraph", lines: RichTextRun[][] }
+ *   | { type: "list", ordered: boolean, items: Array<{ marker: string, runs: RichTextRun[] }> }
+ * } RichTextBlock
+ */
+
+const HEADING = /^(#{1,3})\s+(.+?)(?:\s+#+)?\s*$/;
+const BULLET = /^[-*+]\s+(.*)$/;
+const NUMBERED = /^(\d{1,9})[.)]\s+(.*)$/;
+const ESCAPE = /^\\([\\*_[\]()#+.`-])/;
+const LINK = /^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/;
+const LINK_PROTOCOL = /^(https?:|mailto:)/i;
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+const isSpace = (character) => character === undefined || /\s/.test(character);
+
+/** Number of copies of `text[index]` starting at `index` */
+function runLength(text, index) {
+  let length = 0;
+  while (text[index + length] === text[index]) length++;
+  return length;
+}
+
+/**
+ * Finds the delimiter closing an emphasis opened at `from`, skipping escapes and runs of
+ * another length (which belong to a nested run). A `***` run also closes a single or double
+ * delimiter, its first characters closing the nested run: `*a **b***`.
+ */
+function findCloser(text, delimiter, from) {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === "\\") {
+      index++;
+      continue;
+    }
+    if (text[index] !== delimiter[0]) continue;
+
+    const length = runLength(text, index);
+    const closer =
+      length === delimiter.length ? index : length === 3 ? index + 3 - delimiter.length : -1;
+    const closes =
+      closer !== -1 &&
+      index > from &&
+      !isSpace(text[index - 1]) &&
+      // `_` inside a word (snake_case) is not emphasis
+      !(delimiter[0] === "_" && WORD_CHARACTER.test(text[index + length] || ""));
+    if (closes) return closer;
+    index += length - 1;
+  }
+  return -1;
+}
+
+function emphasisDelimiter(text, index) {
+  const character = text[index];
+  if (character !== "*" && character !== "_") return null;
+
+  const length = runLength(text, index);
+  if (length > 3) return null;
+  const next = text[index + length];
+  if (isSpace(next)) return null;
+  if (character === "_" && WORD_CHARACTER.test(text[index - 1] || "")) return null;
+  return character.repeat(length);
+}
+
+/**
+ * Matches an emphasis opened at `index` with its closer.
+ * @returns {{ length: number, closer: number }|null} delimiter length (1 italic, 2 bold,
+ *   3 both) and where the closing delimiter starts
+ */
+function matchEmphasis(text, index) {
+  const delimiter = emphasisDelimiter(text, index);
+  if (!delimiter) return null;
+
+  const closer = findCloser(text, delimiter, index + delimiter.length);
+  if (closer !== -1) return { length: delimiter.length, closer };
+  if (delimiter.length < 3) return null;
+
+  // `***` closed by a shorter run: the delimiter closing last is the outer one, e.g.
+  // `***a** b*` is italic around bold
+  const character = delimiter[0];
+  const matches = [1, 2]
+    .map((length) => ({
+      length,
+      closer: findCloser(text, character.repeat(length), index + length)
+    }))
+    .filter(({ closer }) => closer !== -1);
+  if (!matches.length) return null;
+  return matches.reduce((outer, match) => (match.closer > outer.closer ? match : outer));
+}
+
+/**
+ * Splits one line of text into styled runs.
+ * @param {string} text
+ * @param {Omit<RichTextRun, "text">} style - style inherited from enclosing markup
+ * @param {RichTextRun[]} runs - runs to append to
+ * @returns {RichTextRun[]}
+ */
+export function parseInline(text, style = {}, runs = []) {
+  let plain = "";
+  const flush = () => {
+    if (plain) runs.push({ ...style, text: plain });
+    plain = "";
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const rest = text.slice(index);
+
+    const escape = rest.match(ESCAPE);
+    if (escape) {
+      plain += escape[1];
+      index += escape[0].length;
+      continue;
+    }
+
+    const link = !style.href && rest.match(LINK);
+    if (link && LINK_PROTOCOL.test(link[2])) {
+      flush();
+      parseInline(link[1], { ...style, href: link[2] }, runs);
+      index += link[0].length;
+      continue;
+    }
+
+    const emphasis = matchEmphasis(text, index);
+    if (emphasis) {
+      const { length, closer } = emphasis;
+      flush();
+      const emphasisStyle = {
+        ...(length >= 2 && { bold: true }),
+        ...(length !== 2 && { italic: true })
+      };
+      parseInline(text.slice(index + length, closer), { ...style, ...emphasisStyle }, runs);
+      index = closer + length;
+      continue;
+    }
+
+    plain += text[index];
+    index++;
+  }
+
+  flush();
+  return runs;
+}
+
+/**
+ * Parses a description into blocks.
+ * @param {string} source
+ * @returns {RichTextBlock[]}
+ */
+export function parseRichText(source) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  String(source ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((line) => {
+      const heading = line.match(HEADING);
+      const bullet = line.match(BULLET);
+      const numbered = line.match(NUMBERED);
+
+      if (!line) {
+        paragraph = null;
+        list = null;
+      } else if (heading) {
+        blocks.push({ type: "heading", level: heading[1].length, runs: parseInline(heading[2]) });
+        paragraph = null;
+        list = null;
+      } else if (bullet || numbered) {
+        const ordered = Boolean(numbered);
+        if (!list || list.ordered !== ordered) {
+          list = { type: "list", ordered, items: [] };
+          blocks.push(list);
+        }
+        list.items.push({
+          marker: ordered ? `${numbered[1]}.` : "•",
+          runs: parseInline(ordered ? numbered[2] : bullet[1])
+        });
+        paragraph = null;
+      } else {
+        if (!paragraph) {
+          paragraph = { type: "paragraph", lines: [] };
+          blocks.push(paragraph);
+        }
+        paragraph.lines.push(parseInline(line));
+        list = null;
+      }
+    });
+
+  return blocks;
+}
+
+/**
+ * Flattens a description to plain text, for places that cannot show rich text (e.g. lightbox
+ * captions): markup is dropped, list items keep their markers and blocks are separated by
+ * line breaks.
+ * @param {string} source
+ * @returns {string}
+ */
+export function toPlainText(source) {
+  const runText = (runs) => runs.map((run) => run.text).join("");
+
+  return parseRichText(source)
+    .map((block) => {
+      if (block.type === "heading") return runText(block.runs);
+      if (block.type === "list") {
+        return block.items.map((item) => `${item.marker} ${runText(item.runs)}`).join("\n");
+      }
+      return block.lines.map(runText).join("\n");
+    })
+    .join("\n");
+}
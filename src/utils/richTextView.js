@@ -0,0 +1,289 @@
+import { UIKit } from "@iwsdk/core";
+import { RICH_TEXT } from "../constants/sceneConstants.js";
+import { getActiveProfile } from "../content/showcaseContent.js";
+import { isInputBlocked } from "./inputLock.js";
+import { logger } from "./logger.js";
+import { parseRichText, toPlainText } from "./richText.js";
+
+const JUSTIFY = { center: "center", right: "flex-end", end: "flex-end" };
+
+/** Pixels of rounding tolerated before text counts as overflowing */
+const OVERFLOW_EPSILON = 0.5;
+
+function openLink(href) {
+  logger.info(`[RichText] Opening link: ${href}`);
+  window.open(href, "_blank");
+}
+
+/** Top edge of `element` in `ancestor`'s layout, from the measured sizes and centers */
+function offsetTop(element, ancestor) {
+  let top = 0;
+  for (let current = element; current !== ancestor; current = current.parent) {
+    const parentSize = current.parent?.size.peek();
+    const size = current.size.peek();
+    const center = current.relativeCenter.peek();
+    if (!parentSize || !size || !center) return null;
+    top += parentSize[1] / 2 - center[1] - size[1] / 2;
+  }
+  return top;
+}
+
+/**
+ * Renders a rich-text description (see utils/richText.js) into a UIKit container, replacing
+ * what an earlier call rendered there. Blocks stack in a column; every word is its own text
+ * element in a wrapping row so styles can change mid-line. Font size, color, line height and
+ * alignment are inherited from the container's class.
+ *
+ * With `fit`, the rendered text is measured against the container's height (its `max-height`
+ * in the panel's uikitml): words that do not fit are hidden, the last visible word gets an
+ * ellipsis, and `onFit(true)` tells the caller to offer the full text. Text is fitted again
+ * whenever the container's width changes.
+ *
+ * Elements that cannot hold children (a plain `span`) get the text without markup.
+ *
+ * @param {Object} container - UIKit container element
+ * @param {string} source - description in the rich-text subset
+ * @param {Object} [options]
+ * @param {boolean} [options.fit=false] - truncate to the container's height
+ * @param {(truncated: boolean) => void} [options.onFit] - called after every fit
+ * @param {(href: string) => void} [options.onLink] - called when a link is tapped
+ * @returns {{ dispose: Function, isTruncated: () => boolean }}
+ */
+export function renderRichText(container, source, { fit = false, onFit, onLink = openLink } = {}) {
+  container.__richText?.dispose();
+
+  if (!(container instanceof UIKit.Container)) {
+    container.setProperties?.({ text: toPlainText(source) });
+    return { dispose: () => {}, isTruncated: () => false };
+  }
+
+  const properties = container.properties.peek();
+  const fontSize = Number(properties.fontSize) || RICH_TEXT.DEFAULT_FONT_SIZE;
+  const justifyContent = JUSTIFY[properties.textAlign] || "flex-start";
+  const linkColor = getActiveProfile()?.theme?.accent || RICH_TEXT.LINK_COLOR;
+
+  /** Word and list-marker elements in reading order, with the text they were created with */
+  const flow = [];
+  const blocks = [];
+  const abortController = new window.AbortController();
+  let truncated = false;
+  let fittedWidth = null;
+  let ellipsized = null;
+  let fitScheduled = false;
+
+  const createRow = (extra = {}) =>
+    new UIKit.Container({
+      flexDirection: "row",
+      flexWrap: "wrap",
+      alignItems: "baseline",
+      justifyContent,
+      gapColumn: fontSize * RICH_TEXT.WORD_SPACING,
+      ...extra
+    });
+
+  function addText(parent, text, style, kind) {
+    const element = new UIKit.Text({ text, flexShrink: 0, ...style });
+    parent.add(element);
+    flow.push({ element, text, kind });
+    return element;
+  }
+
+  function addRuns(row, runs) {
+    runs.forEach((run) => {
+      const style = {};
+      if (run.bold) style.fontWeight = "bold";
+      if (run.italic && !run.bold) style.fontWeight = "light";
+      if (run.italic) style.color = RICH_TEXT.ITALIC_COLOR;
+      if (run.href) {
+        Object.assign(style, { color: linkColor, cursor: "pointer", pointerEvents: "auto" });
+      }
+
+      run.text
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((word) => {
+          const element = addText(row, word, style, "word");
+          if (run.href) {
+            element.addEventListener("click", (event) => {
+              event?.stopPropagation?.();
+              if (!isInputBlocked()) onLink(run.href);
+            });
+          }
+        });
+    });
+  }
+
+  function addBlock(block) {
+    const element = new UIKit.Container({ flexDirection: "column", flexShrink: 0 });
+    container.add(element);
+    blocks.push(element);
+
+    if (block.type === "heading") {
+      element.setProperties({
+        fontSize: fontSize * (RICH_TEXT.HEADING_SCALE[block.level] || 1),
+        fontWeight: "bold"
+      });
+      const row = createRow();
+      element.add(row);
+      addRuns(row, block.runs);
+    } else if (block.type === "list") {
+      element.setProperties({ gapRow: fontSize * RICH_TEXT.LIST_ITEM_SPACING });
+      block.items.forEach((item) => {
+        const itemRow = new UIKit.Container({ flexDirection: "row", alignItems: "flex-start" });
+        element.add(itemRow);
+        addText(
+          itemRow,
+          item.marker,
+          { width: fontSize * RICH_TEXT.LIST_MARKER_WIDTH, textAlign: "left" },
+          "marker"
+        );
+        const content = createRow({ flexGrow: 1, flexShrink: 1, flexBasis: 0 });
+        itemRow.add(content);
+        addRuns(content, item.runs);
+      });
+    } else {
+      block.lines.forEach((runs) => {
+        const row = createRow();
+        element.add(row);
+        addRuns(row, runs);
+      });
+    }
+  }
+
+  function setHidden(entry, hidden) {
+    if (entry.hidden === hidden) return;
+    entry.hidden = hidden;
+    entry.element.setProperties({ display: hidden ? "none" : "flex" });
+  }
+
+  function restoreEllipsis() {
+    if (!ellipsized) return;
+    ellipsized.element.setProperties({ text: ellipsized.text });
+    ellipsized = null;
+  }
+
+  function reset() {
+    restoreEllipsis();
+    flow.forEach((entry) => setHidden(entry, false));
+    truncated = false;
+  }
+
+  /** Index in `flow` of the first visible element reaching past the container's content box */
+  function findOverflow() {
+    const size = container.size.peek();
+    if (!size) return -1;
+    const [, , paddingBottom = 0] = container.paddingInset.peek() || [];
+    const [, , borderBottom = 0] = container.borderInset.peek() || [];
+    const limit = size[1] - paddingBottom - borderBottom + OVERFLOW_EPSILON;
+
+    return flow.findIndex((entry) => {
+      if (entry.hidden) return false;
+      const top = offsetTop(entry.element, container);
+      return top !== null && top + entry.element.size.peek()[1] > limit;
+    });
+  }
+
+  function truncateAt(index) {
+    // Drop one more word so the ellipsis fits where it was
+    const keep = Math.max(index - 1, 0);
+    flow.slice(keep).forEach((entry) => setHidden(entry, true));
+    restoreEllipsis();
+
+    let last = flow.slice(0, keep).findLast((entry) => !entry.hidden);
+    while (last?.kind === "marker") {
+      setHidden(last, true);
+      last = flow.slice(0, flow.indexOf(last)).findLast((entry) => !entry.hidden);
+    }
+    if (last) {
+      last.element.setProperties({ text: `${last.text}${RICH_TEXT.ELLIPSIS}` });
+      ellipsized = last;
+    }
+    truncated = true;
+  }
+
+  function fitText() {
+    fitScheduled = false;
+    const size = container.size.peek();
+    if (fittedWidth !== null && fittedWidth !== size[0]) {
+      // Wider or narrower rows wrap differently: measure the full text again
+      fittedWidth = null;
+      reset();
+      return;
+    }
+    fittedWidth = size[0];
+
+    const overflow = findOverflow();
+    if (overflow !== -1) {
+      truncateAt(overflow);
+      logger.debug(`[RichText] Truncated description after ${overflow} words`);
+    }
+    onFit?.(truncated);
+  }
+
+  parseRichText(source).forEach(addBlock);
+  container.setProperties({
+    flexDirection: "column",
+    alignItems: "stretch",
+    gapRow: fontSize * RICH_TEXT.BLOCK_SPACING
+  });
+
+  if (fit) {
+    container.setProperties({ overflow: "hidden" });
+    UIKit.abortableEffect(() => {
+      // Subscribes to every measurement the fit depends on; the fit itself waits until the
+      // layout pass that changed them has finished
+      const sizes = [container.size, ...flow.map((entry) => entry.element.size)];
+      if (!sizes.every((size) => size.value) || fitScheduled) return;
+      fitScheduled = true;
+      Promise.resolve().then(() => {
+        if (!abortController.signal.aborted) fitText();
+      });
+    }, abortController.signal);
+  }
+
+  const view = {
+    dispose() {
+      abortController.abort();
+      blocks.forEach((block) => block.dispose());
+      if (container.__richText === view) {
+        container.__richText = null;
+      }
+    },
+    isTruncated: () => truncated
+  };
+  container.__richText = view;
+  return view;
+}
+
+/**
+ * Renders a panel's rich-text description fitted to its element and shows the panel's
+ * `panel-read-more` control while the text is truncated.
+ *
+ * @param {Object} document - the panel's UIKit document
+ * @param {Object} element - the description element
+ * @param {string} description
+ * @param {Function|null} onReadMore - opens the full text; without it nothing is offered
+ * @returns {{ dispose: Function, isTruncated: () => boolean }}
+ */
+export function bindRichDescription(document, element, description, onReadMore) {
+  const readMore = document.getElementById?.("panel-read-more");
+
+  if (readMore) {
+    if (readMore.__readMoreHandler) {
+      readMore.removeEventListener?.("click", readMore.__readMoreHandler);
+    }
+    readMore.__readMoreHandler = (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      onReadMore?.();
+    };
+    readMore.addEventListener?.("click", readMore.__readMoreHandler);
+    readMore.setProperties?.({ display: "none" });
+  }
+
+  return renderRichText(element, description, {
+    fit: true,
+    onFit: (truncated) =>
+      readMore?.setProperties?.({ display: truncated && onReadMore ? "flex" : "none" })
+  });
+}
@@ -0,0 +1,77 @@
+import { SETTINGS } from "../constants/sceneConstants.js";
+import { logger } from "./logger.js";
+
+const listeners = new Set();
+
+/** Current values; SETTINGS.DEFAULTS overlaid with what was saved on an earlier visit */
+let values = null;
+
+function load() {
+  let saved = {};
+  try {
+    saved = JSON.parse(window.localStorage?.getItem(SETTINGS.STORAGE_KEY) || "{}") || {};
+  } catch (error) {
+    logger.warn(`[Settings] Ignoring unreadable saved settings: ${error.message}`);
+  }
+
+  // Only known settings of the default's type are restored
+  values = { ...SETTINGS.DEFAULTS };
+  Object.keys(SETTINGS.DEFAULTS).forEach((key) => {
+    if (typeof saved[key] === typeof SETTINGS.DEFAULTS[key]) {
+      values[key] = saved[key];
+    }
+  });
+  return values;
+}
+
+function save() {
+  try {
+    window.localStorage?.setItem(SETTINGS.STORAGE_KEY, JSON.stringify(values));
+  } catch (error) {
+    // Private browsing or a full quota: the setting still applies for this visit
+    logger.debug(`[Settings] Could not save settings: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} key - one of SETTINGS.DEFAULTS
+ * @returns {*} the setting's value
+ */
+export function getSetting(key) {
+  return (values || load())[key];
+}
+
+/**
+ * Changes a setting, saves it for later visits and notifies setting listeners.
+ * @param {string} key - one of SETTINGS.DEFAULTS
+ * @param {*} value
+ */
+export function setSetting(key, value) {
+  if (!(key in SETTINGS.DEFAULTS)) {
+    logger.warn(`[Settings] Unknown setting "${key}"`);
+    return;
+  }
+  if (getSetting(key) === value) return;
+
+  values[key] = value;
+  save();
+  logger.info(`[Settings] ${key} = ${value}`);
+
+  listeners.forEach((listener) => {
+    try {
+      listener({ key, value });
+    } catch (error) {
+      logger.error("[Settings] Error in settings listener:", error);
+    }
+  });
+}
+
+/**
+ * Calls `listener({ key, value })` whenever a setting changes.
+ * @param {Function} listener
+ * @returns {Function} unsubscribe
+ */
+export function onSettingChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -1,134 +1,270 @@
-import { PanelDocument } from "@iwsdk/core";
+import { SLIDESHOW } from "../constants/sceneConstants.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { getSlideshowSystem } from "../systems/SlideshowSystem.js";
+import { getTweenSystem } from "../systems/TweenSystem.js";
+import { isInputBlocked } from "./inputLock.js";
 import { logger } from "./logger.js";
+import { addButtonSounds } from "./sounds.js";
 
 /**
- * Creates and manages an image slideshow on a panel entity.
- * Cycles through images at a specified interval.
+ * Normalizes a slide; slides may be plain image paths.
+ * @param {string|{ src: string, duration?: number, caption?: string }} slide
+ * @param {number} defaultDuration
+ * @returns {{ src: string, duration: number, caption: string }}
+ */
+function normalizeSlide(slide, defaultDuration) {
+  const entry = typeof slide === "string" ? { src: slide } : slide;
+  return { caption: "", ...entry, duration: entry.duration ?? defaultDuration };
+}
+
+/**
+ * Creates a slideshow on a panel built from ui/slideshowPanel.uikitml. Slides crossfade
+ * between two stacked image layers; timing runs on the world clock via SlideshowSystem.
+ *
+ * Events (subscribe with `on`): `change` `{ index, previousIndex, slide }`, `play`, `pause`,
+ * and `end` when a non-looping slideshow finishes its last slide.
  *
+ * @param {Object} world - The IWSDK world instance
  * @param {Entity} entity - Panel entity with PanelUI component
- * @param {string[]} images - Array of image paths to cycle through
+ * @param {Array<string|{ src: string, duration?: number, caption?: string }>} slides
  * @param {Object} options - Configuration options
- * @param {number} options.interval - Time in milliseconds between slides (default: 3000)
- * @param {string} options.imageElementId - ID of the image element in the panel (default: "panel-image")
- * @param {number} options.maxAttempts - Number of RAF retries while waiting for document (default: 120)
+ * @param {number} options.interval - Default time in milliseconds each slide is shown
+ * @param {number} options.transitionDuration - Crossfade length in milliseconds (0 = cut)
+ * @param {boolean} options.autoplay - Start playing once the panel has loaded (default: true)
+ * @param {boolean} options.loop - Wrap from the last slide to the first (default: true)
+ * @param {boolean} options.pauseWhenLookedAt - Hold the current slide while the viewer looks
+ *   at the panel (default: true)
+ * @returns {Object|null} slideshow controller, or null when there are no slides
  */
-export function createSlideshow(entity, images, options = {}) {
+export function createSlideshow(world, entity, slides, options = {}) {
   const {
-    interval = 3000,
-    imageElementId = "panel-image",
-    maxAttempts = 120
+    interval = SLIDESHOW.DEFAULT_DURATION,
+    transitionDuration = SLIDESHOW.CROSSFADE_DURATION,
+    autoplay = true,
+    loop = true,
+    pauseWhenLookedAt = true
   } = options;
 
-  if (!images || images.length === 0) {
-    logger.warn("[Slideshow] No images provided");
+  if (!slides || slides.length === 0) {
+    logger.warn("[Slideshow] No slides provided");
     return null;
   }
 
-  let currentIndex = 0;
-  let slideshowInterval = null;
-  let imageElement = null;
+  const normalizedSlides = slides.map((slide) => normalizeSlide(slide, interval));
+  const listeners = new Map();
+  let document = null;
+  let layers = [];
+  let activeLayer = 0;
+  let index = 0;
+  let playing = autoplay;
+  let gazeHold = false;
+  let elapsed = 0;
+  let shownProgress = -1;
+  let disposed = false;
 
-  function attemptSetup(attempt = 0) {
-    const document = PanelDocument.data.document[entity.index];
-    if (!document) {
-      if (attempt < maxAttempts) {
-        requestAnimationFrame(() => attemptSetup(attempt + 1));
-      } else {
-        logger.warn(
-          `[Slideshow] Document not ready for entity ${entity.index} after ${maxAttempts} attempts`
-        );
+  function emit(eventName, detail) {
+    (listeners.get(eventName) || []).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        logger.error(`[Slideshow] Error in "${eventName}" listener:`, error);
       }
+    });
+  }
+
+  function element(id) {
+    return document?.getElementById?.(id) || null;
+  }
+
+  function renderProgress() {
+    const duration = normalizedSlides[index].duration;
+    const progress = duration > 0 ? Math.min(Math.round((elapsed / duration) * 100), 100) : 0;
+    if (progress === shownProgress) return;
+    shownProgress = progress;
+    element("slideshow-progress")?.setProperties?.({ width: `${progress}%` });
+  }
+
+  function renderControls() {
+    element("slideshow-toggle-text")?.setProperties?.({ text: playing ? "❚❚" : "▶" });
+    element("slideshow-counter")?.setProperties?.({
+      text: `${index + 1} / ${normalizedSlides.length}`
+    });
+  }
+
+  function renderSlide(animate) {
+    if (!document) return;
+    const slide = normalizedSlides[index];
+    const incoming = layers[1 - activeLayer];
+    const outgoing = layers[activeLayer];
+    activeLayer = 1 - activeLayer;
+
+    element("slideshow-caption")?.setProperties?.({
+      text: slide.caption,
+      display: slide.caption ? "flex" : "none"
+    });
+    renderControls();
+    renderProgress();
+
+    incoming?.setProperties?.({ src: slide.src });
+    if (!animate || transitionDuration <= 0) {
+      incoming?.setProperties?.({ opacity: 1 });
+      outgoing?.setProperties?.({ opacity: 0 });
       return;
     }
 
-    // Try to find image element by ID first, then by tag name
-    imageElement = document.getElementById?.(imageElementId);
-    if (!imageElement) {
-      // Fallback: find first img element in the document
-      const imgElements = document.querySelectorAll?.("img");
-      if (imgElements && imgElements.length > 0) {
-        imageElement = imgElements[0];
+    getTweenSystem(world).tween({
+      duration: transitionDuration,
+      onUpdate: (progress) => {
+        if (disposed) return;
+        incoming?.setProperties?.({ opacity: progress });
+        outgoing?.setProperties?.({ opacity: 1 - progress });
       }
-    }
+    });
+  }
 
-    if (!imageElement) {
-      if (attempt < maxAttempts) {
-        requestAnimationFrame(() => attemptSetup(attempt + 1));
-        return;
+  function bindButton(id, action) {
+    addButtonSounds(element(id));
+    element(id)?.addEventListener?.("click", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      action();
+    });
+  }
+
+  const slideshow = {
+    entity,
+    pauseWhenLookedAt,
+    get index() {
+      return index;
+    },
+    get playing() {
+      return playing;
+    },
+    get slides() {
+      return normalizedSlides;
+    },
+
+    play() {
+      if (playing) return;
+      playing = true;
+      renderControls();
+      emit("play", { index });
+    },
+
+    pause() {
+      if (!playing) return;
+      playing = false;
+      renderControls();
+      emit("pause", { index });
+    },
+
+    toggle() {
+      if (playing) {
+        slideshow.pause();
       } else {
-        logger.warn(`[Slideshow] Image element not found for entity ${entity.index}`);
+        slideshow.play();
+      }
+    },
+
+    /**
+     * Shows a slide and restarts its timer.
+     * @param {number} nextIndex - wrapped into range
+     */
+    seek(nextIndex) {
+      const count = normalizedSlides.length;
+      const target = ((nextIndex % count) + count) % count;
+      elapsed = 0;
+      if (target === index) {
+        renderProgress();
         return;
       }
-    }
 
-    // Set initial image
-    updateImage(images[0]);
+      const previousIndex = index;
+      index = target;
+      renderSlide(true);
+      emit("change", { index, previousIndex, slide: normalizedSlides[index] });
+    },
 
-    // Start slideshow
-    slideshowInterval = setInterval(() => {
-      currentIndex = (currentIndex + 1) % images.length;
-      updateImage(images[currentIndex]);
-    }, interval);
+    next: () => slideshow.seek(index + 1),
+    prev: () => slideshow.seek(index - 1),
 
-    logger.debug(`[Slideshow] Started slideshow for entity ${entity.index} with ${images.length} images`);
-  }
-
-  function updateImage(imagePath) {
-    if (imageElement) {
-      // Add error handler for failed image loads with more context
-      const handleError = (event) => {
-        logger.warn(`[Slideshow] Image failed to load: ${imagePath}`, {
-          entity: entity.index,
-          event: event,
-          element: imageElement
-        });
-      };
-
-      // Remove previous error listener if exists
-      if (imageElement.removeEventListener) {
-        imageElement.removeEventListener("error", handleError);
+    /**
+     * @param {"change"|"play"|"pause"|"end"} eventName
+     * @param {Function} handler
+     * @returns {Function} unsubscribe
+     */
+    on(eventName, handler) {
+      if (!listeners.has(eventName)) {
+        listeners.set(eventName, new Set());
       }
+      listeners.get(eventName).add(handler);
+      return () => listeners.get(eventName)?.delete(handler);
+    },
 
-      logger.debug(`[Slideshow] Updating image for entity ${entity.index}: ${imagePath}`);
-
-      // Try setProperties first (UIKitML elements)
-      if (imageElement.setProperties) {
-        try {
-          imageElement.setProperties({ src: imagePath });
-          imageElement.addEventListener("error", handleError, { once: true });
-          logger.debug(`[Slideshow] Used setProperties for entity ${entity.index}`);
-        } catch (e) {
-          logger.warn(`[Slideshow] setProperties failed for entity ${entity.index}: ${e.message}`);
-        }
-      }
-      // Fallback to direct property assignment
-      else if (imageElement.src !== undefined) {
-        imageElement.src = imagePath;
-        imageElement.addEventListener("error", handleError, { once: true });
-        logger.debug(`[Slideshow] Used direct src assignment for entity ${entity.index}`);
+    /**
+     * Set by SlideshowSystem while the viewer is looking at the panel.
+     * @param {boolean} held
+     */
+    setGazeHold(held) {
+      gazeHold = held;
+    },
+
+    /**
+     * Advances the current slide's timer; called by SlideshowSystem every frame.
+     * @param {number} deltaMs
+     */
+    update(deltaMs) {
+      if (!document || !playing || gazeHold) return;
+
+      elapsed += deltaMs;
+      if (elapsed < normalizedSlides[index].duration) {
+        renderProgress();
+        return;
       }
-      // Try setAttribute as last resort
-      else if (imageElement.setAttribute) {
-        imageElement.setAttribute("src", imagePath);
-        imageElement.addEventListener("error", handleError, { once: true });
-        logger.debug(`[Slideshow] Used setAttribute for entity ${entity.index}`);
+
+      if (!loop && index === normalizedSlides.length - 1) {
+        elapsed = normalizedSlides[index].duration;
+        renderProgress();
+        slideshow.pause();
+        emit("end", { index });
+        return;
       }
-    } else {
-      logger.warn(`[Slideshow] No image element found for entity ${entity.index}`);
-    }
-  }
+      slideshow.next();
+    },
 
-  // Store cleanup function on entity for disposal
-  entity.object3D.userData.slideshowCleanup = () => {
-    if (slideshowInterval) {
-      clearInterval(slideshowInterval);
-      slideshowInterval = null;
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      getSlideshowSystem(world).remove(slideshow);
+      listeners.clear();
       logger.debug(`[Slideshow] Stopped slideshow for entity ${entity.index}`);
     }
   };
 
-  attemptSetup();
-  return entity;
+  whenPanelReady(entity)
+    .then((panelDocument) => {
+      if (disposed) return;
+      document = panelDocument;
+      layers = [element("slideshow-image-a"), element("slideshow-image-b")];
+      if (!layers[0] || !layers[1]) {
+        logger.warn(`[Slideshow] Image layers not found for entity ${entity.index}`);
+      }
+
+      bindButton("slideshow-prev", () => slideshow.prev());
+      bindButton("slideshow-next", () => slideshow.next());
+      bindButton("slideshow-toggle", () => slideshow.toggle());
+
+      renderSlide(false);
+      logger.debug(
+        `[Slideshow] Started slideshow for entity ${entity.index} with ${normalizedSlides.length} slides`
+      );
+    })
+    .catch((error) => reportPanelNotReady("[Slideshow]", error));
+
+  getSlideshowSystem(world).add(slideshow);
+  // Store cleanup function on entity for disposal
+  entity.object3D.userData.slideshowCleanup = () => slideshow.dispose();
+  return slideshow;
 }
 
 /**
@@ -141,4 +277,3 @@ export function stopSlideshow(entity) {
     delete entity.object3D.userData.slideshowCleanup;
   }
 }
-
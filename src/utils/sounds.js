@@ -0,0 +1,80 @@
+import { AudioSource, AudioUtils, PlaybackMode } from "@iwsdk/core";
+import { AUDIO } from "../constants/sceneConstants.js";
+import { AudioChannel, Channel, getAudioMixSystem } from "../systems/AudioMixSystem.js";
+import { isInputBlocked } from "./inputLock.js";
+import { logger } from "./logger.js";
+
+/** One entity per UI sound in AUDIO.UI_SOUNDS, created by registerUISounds */
+const uiSounds = new Map();
+
+/**
+ * Creates the entities that play the standard UI sounds (hover, click, open, close) on the
+ * effects channel. Until this runs, playUISound does nothing.
+ * @param {import("@iwsdk/core").World} world
+ */
+export function registerUISounds(world) {
+  getAudioMixSystem(world);
+  Object.entries(AUDIO.UI_SOUNDS).forEach(([name, { src, volume }]) => {
+    if (uiSounds.has(name)) return;
+    const entity = world
+      .createEntity()
+      .addComponent(AudioSource, {
+        src,
+        positional: false,
+        // Quick repeats (sweeping the ray across buttons) overlap instead of cutting off
+        playbackMode: PlaybackMode.Overlap,
+        maxInstances: AUDIO.UI_SOUND_INSTANCES
+      })
+      .addComponent(AudioChannel, { channel: Channel.Effects, volume });
+    uiSounds.set(name, entity);
+  });
+}
+
+/**
+ * Plays one of the standard UI sounds.
+ * @param {"hover"|"click"|"open"|"close"} name - key of AUDIO.UI_SOUNDS
+ */
+export function playUISound(name) {
+  const entity = uiSounds.get(name);
+  if (!entity) {
+    logger.debug(`[Sounds] UI sound "${name}" is not registered`);
+    return;
+  }
+  AudioUtils.play(entity);
+}
+
+/**
+ * Gives a UIKit button the hover and click sounds. Clicks ignored because input is blocked
+ * stay silent.
+ * @param {Object} element - UIKit element with `addEventListener`
+ */
+export function addButtonSounds(element) {
+  if (!element?.addEventListener || element.__buttonSoundsAttached) return;
+  element.__buttonSoundsAttached = true;
+  element.addEventListener("pointerenter", () => playUISound("hover"));
+  element.addEventListener("click", () => {
+    if (!isInputBlocked()) playUISound("click");
+  });
+}
+
+/**
+ * Attaches a positional sound to a panel, heard from the panel's position. It loops and
+ * starts on its own unless the panel's `audio` says otherwise, and stops with the panel.
+ * @param {import("@iwsdk/core").World} world
+ * @param {Entity} entity - the panel entity
+ * @param {{ src: string, volume?: number, loop?: boolean, autoplay?: boolean,
+ *   refDistance?: number }} audio - the panel's `audio` entry
+ */
+export function attachPanelAudio(world, entity, audio) {
+  const { src, volume = 1, loop = true, autoplay = true, refDistance } = audio;
+  getAudioMixSystem(world);
+  entity
+    .addComponent(AudioSource, {
+      src,
+      loop,
+      autoplay,
+      positional: true,
+      refDistance: refDistance ?? AUDIO.PANEL_REF_DISTANCE
+    })
+    .addComponent(AudioChannel, { channel: Channel.Effects, volume });
+}
@@ -0,0 +1,283 @@
+import { VisibilityState } from "@iwsdk/core";
+import { VIDEO } from "../constants/sceneConstants.js";
+import { reportPanelNotReady, whenPanelReady } from "../systems/PanelReadySystem.js";
+import { isInputBlocked } from "./inputLock.js";
+import { logger } from "./logger.js";
+import { addButtonSounds } from "./sounds.js";
+
+/** XR visibility states in which the viewer cannot see the panel */
+const HIDDEN_STATES = new Set([VisibilityState.Hidden, VisibilityState.VisibleBlurred]);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Formats seconds as m:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const total = Number.isFinite(seconds) ? Math.floor(seconds) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Creates a video player on a panel built from ui/videoPanel.uikitml. The video element is
+ * owned here and handed to the panel's `<video>`, which draws it through a VideoTexture;
+ * the panel's buttons play/pause, mute and loop it and its scrub bar seeks.
+ *
+ * Playback pauses when the XR session is hidden or blurred (and resumes when it is visible
+ * again), and stops for good when the player is disposed with its panel.
+ *
+ * Events (subscribe with `on`): `play`, `pause` and `end` (when a non-looping video finishes).
+ *
+ * @param {Object} world - The IWSDK world instance
+ * @param {Entity} entity - Panel entity with PanelUI component
+ * @param {string} src - mp4 or webm file under public/
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.autoplay - Start playing once the video can play (default: false);
+ *   autoplaying videos start muted, as browsers block autoplay with sound
+ * @param {boolean} options.loop - Start over at the end (default: false)
+ * @param {boolean} options.muted - Start muted (default: `autoplay`)
+ * @returns {Object|null} video controller, or null without a source
+ */
+export function createVideoPlayer(world, entity, src, options = {}) {
+  const { autoplay = false, loop = false, muted = autoplay } = options;
+
+  if (!src) {
+    logger.warn("[Video] No video source provided");
+    return null;
+  }
+
+  const video = window.document.createElement("video");
+  video.playsInline = true;
+  video.crossOrigin = "anonymous";
+  video.preload = "auto";
+  video.loop = loop;
+  video.muted = muted;
+  video.src = src;
+
+  const listeners = new Map();
+  const videoListeners = [];
+  let document = null;
+  let scrubbing = false;
+  let pausedForVisibility = false;
+  let autoplayPending = autoplay;
+  let disposed = false;
+
+  function emit(eventName, detail) {
+    (listeners.get(eventName) || []).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        logger.error(`[Video] Error in "${eventName}" listener:`, error);
+      }
+    });
+  }
+
+  function element(id) {
+    return document?.getElementById?.(id) || null;
+  }
+
+  function renderProgress() {
+    const { currentTime, duration } = video;
+    const progress = duration > 0 ? clamp(currentTime / duration, 0, 1) : 0;
+    element("video-scrub-fill")?.setProperties?.({ width: `${progress * 100}%` });
+    element("video-time")?.setProperties?.({
+      text: `${formatTime(currentTime)} / ${formatTime(duration)}`
+    });
+  }
+
+  function renderControls() {
+    element("video-toggle-text")?.setProperties?.({ text: video.paused ? "▶" : "❚❚" });
+    element("video-mute-text")?.setProperties?.({ text: video.muted ? "Unmute" : "Mute" });
+    element("video-loop")?.setProperties?.({
+      backgroundColor: video.loop ? VIDEO.TOGGLE_ON_COLOR : VIDEO.TOGGLE_OFF_COLOR
+    });
+  }
+
+  function listen(eventName, handler) {
+    video.addEventListener(eventName, handler);
+    videoListeners.push([eventName, handler]);
+  }
+
+  function bindButton(id, action) {
+    addButtonSounds(element(id));
+    element(id)?.addEventListener?.("click", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      action();
+    });
+  }
+
+  function bindScrubBar() {
+    const track = element("video-scrub-track");
+    if (!track) return;
+
+    const seekToPointer = (event) => {
+      if (event?.uv) player.seek(event.uv.x * video.duration);
+    };
+    track.addEventListener("pointerdown", (event) => {
+      event?.stopPropagation?.();
+      if (isInputBlocked()) return;
+      scrubbing = true;
+      seekToPointer(event);
+    });
+    track.addEventListener("pointermove", (event) => {
+      if (scrubbing) seekToPointer(event);
+    });
+    const endScrub = () => {
+      scrubbing = false;
+    };
+    track.addEventListener("pointerup", endScrub);
+    track.addEventListener("pointerleave", endScrub);
+  }
+
+  const player = {
+    entity,
+    video,
+    get playing() {
+      return !video.paused;
+    },
+
+    play() {
+      if (disposed) return;
+      pausedForVisibility = false;
+      video.play().catch((error) => {
+        logger.warn(`[Video] Could not play ${src}: ${error.message}`);
+        renderControls();
+      });
+    },
+
+    pause() {
+      video.pause();
+    },
+
+    toggle() {
+      if (video.paused) {
+        player.play();
+      } else {
+        player.pause();
+      }
+    },
+
+    /**
+     * @param {number} seconds - clamped to the video's length
+     */
+    seek(seconds) {
+      if (!Number.isFinite(video.duration)) return;
+      video.currentTime = clamp(seconds, 0, video.duration);
+      renderProgress();
+    },
+
+    setMuted(value) {
+      video.muted = value;
+      renderControls();
+    },
+
+    setLoop(value) {
+      video.loop = value;
+      renderControls();
+    },
+
+    /**
+     * @param {"play"|"pause"|"end"} eventName
+     * @param {Function} handler
+     * @returns {Function} unsubscribe
+     */
+    on(eventName, handler) {
+      if (!listeners.has(eventName)) {
+        listeners.set(eventName, new Set());
+      }
+      listeners.get(eventName).add(handler);
+      return () => listeners.get(eventName)?.delete(handler);
+    },
+
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      unsubscribeVisibility();
+      video.pause();
+      videoListeners.forEach(([eventName, handler]) =>
+        video.removeEventListener(eventName, handler)
+      );
+      // Releases the decoder and stops any pending download
+      video.removeAttribute("src");
+      video.load();
+      listeners.clear();
+      logger.debug(`[Video] Stopped video for entity ${entity.index}`);
+    }
+  };
+
+  listen("play", () => {
+    renderControls();
+    emit("play", { src });
+  });
+  listen("pause", () => {
+    renderControls();
+    emit("pause", { src });
+  });
+  listen("ended", () => emit("end", { src }));
+  listen("timeupdate", renderProgress);
+  listen("durationchange", renderProgress);
+  listen("error", () => logger.warn(`[Video] Failed to load ${src}`));
+  listen("canplay", () => {
+    if (!autoplayPending) return;
+    autoplayPending = false;
+    if (HIDDEN_STATES.has(world.visibilityState.peek())) {
+      // Starts once the session is visible again
+      pausedForVisibility = true;
+    } else {
+      player.play();
+    }
+  });
+
+  const unsubscribeVisibility = world.visibilityState.subscribe((state) => {
+    if (HIDDEN_STATES.has(state)) {
+      if (!video.paused) {
+        video.pause();
+        pausedForVisibility = true;
+        logger.debug(`[Video] Paused while the XR session is ${state}`);
+      }
+    } else if (pausedForVisibility) {
+      player.play();
+    }
+  });
+
+  whenPanelReady(entity)
+    .then((panelDocument) => {
+      if (disposed) return;
+      document = panelDocument;
+
+      const screen = element("video-player");
+      if (screen) {
+        screen.setProperties({ src: video });
+      } else {
+        logger.warn(`[Video] Video element not found for entity ${entity.index}`);
+      }
+
+      bindButton("video-toggle", () => player.toggle());
+      bindButton("video-mute", () => player.setMuted(!video.muted));
+      bindButton("video-loop", () => player.setLoop(!video.loop));
+      bindScrubBar();
+
+      renderControls();
+      renderProgress();
+      logger.debug(`[Video] Bound ${src} for entity ${entity.index}`);
+    })
+    .catch((error) => reportPanelNotReady("[Video]", error));
+
+  // Store cleanup function on entity for disposal
+  entity.object3D.userData.videoCleanup = () => player.dispose();
+  return player;
+}
+
+/**
+ * Stops and releases the video player on an entity.
+ * @param {Entity} entity - Panel entity with a video player
+ */
+export function stopVideo(entity) {
+  if (entity.object3D.userData.videoCleanup) {
+    entity.object3D.userData.videoCleanup();
+    delete entity.object3D.userData.videoCleanup;
+  }
+}
@@ -7,9 +7,14 @@ import { compileUIKit } from '@iwsdk/vite-plugin-uikitml';
 import { defineConfig } from 'vite';
 import mkcert from 'vite-plugin-mkcert';
 
+import { contentValidation } from './scripts/contentValidationPlugin.js';
+import { markdownRooms } from './scripts/markdownRoomsPlugin.js';
+
 export default defineConfig({
   plugins: [
     mkcert(),
+    contentValidation(),
+    markdownRooms(),
     injectIWER({
       device: 'metaQuest3',
       activation: 'localhost',